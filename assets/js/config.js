@@ -0,0 +1,58 @@
+// Runtime settings for the landing page, so the same scripts work locally,
+// on staging and in production. They come from
+//
+//   <meta name="zintle-config" content='{"apiBase": "https://api.zintle.app"}'>
+//
+// which the Express server fills in from its environment when it serves the
+// page, and which a static host can set by hand. Anything left out falls
+// back to same-origin relative URLs with every feature on.
+//
+//   apiBase      origin (optionally with a path prefix) of the API
+//   realtimeUrl  WebSocket endpoint, by default /ws on the API's host
+//   features     on/off switches: realtime, sseFallback, analytics
+//   challenge    signup bot check: { provider: 'none' | 'stub' | 'turnstile', siteKey }
+(function() {
+  const DEFAULT_FEATURES = { realtime: true, sseFallback: true, analytics: true };
+
+  function readConfig() {
+    const meta = document.querySelector('meta[name="zintle-config"]');
+    if (!meta || !meta.content) return {};
+
+    try {
+      return JSON.parse(meta.content);
+    } catch (error) {
+      console.log('Ignoring malformed zintle-config meta tag');
+      return {};
+    }
+  }
+
+  const config = readConfig();
+  const apiBase = String(config.apiBase || '').replace(/\/$/, '');
+  const features = { ...DEFAULT_FEATURES, ...config.features };
+
+  // '/api/stats' -> URL of that endpoint on the API
+  function apiUrl(path) {
+    return apiBase + path;
+  }
+
+  // WebSocket URL of a realtime channel; no channel is the public one
+  function realtimeUrl(channel = '') {
+    let base = config.realtimeUrl;
+    if (!base) {
+      const api = new URL(apiBase || '/', window.location.href);
+      base = `${api.protocol === 'https:' ? 'wss:' : 'ws:'}//${api.host}/ws`;
+    }
+    base = base.replace(/\/$/, '');
+    return channel ? `${base}/${channel}` : base;
+  }
+
+  function isEnabled(feature) {
+    return features[feature] !== false;
+  }
+
+  function challenge() {
+    return { provider: 'none', siteKey: null, ...config.challenge };
+  }
+
+  window.ZintleConfig = { apiUrl, realtimeUrl, isEnabled, challenge };
+})();
@@ -0,0 +1,332 @@
+// Landing page translations. Elements opt in with data attributes:
+//
+//   data-i18n="key"              textContent
+//   data-i18n-html="key"         innerHTML (for copy with <br> or <strong>)
+//   data-i18n-placeholder="key"  placeholder attribute
+//   data-i18n-aria-label="key"   aria-label attribute
+//   data-i18n-alt="key"          alt attribute
+//
+// English is complete and is the fallback for missing Arabic keys. The
+// chosen language is kept in localStorage and mirrored on <html lang dir>.
+(function() {
+  const STORAGE_KEY = 'zintle_locale';
+  const DEFAULT_LOCALE = 'en';
+  const RTL_LOCALES = ['ar'];
+
+  const MESSAGES = {
+    en: {
+      'meta.title': 'Zintle – Skills Without Borders',
+      'meta.description': 'Egypt\'s first AI-powered skill marketplace where talent meets opportunity. Trade what you do best for what you need most. No cash, no barriers, no limits.',
+
+      'nav.howItWorks': 'How it Works',
+      'nav.joinBeta': 'Join Beta',
+      'nav.switchLanguage': 'العربية',
+      'nav.switchLanguageLabel': 'اعرض الصفحة بالعربية',
+
+      'hero.badge': 'Egypt\'s first AI-powered skill marketplace',
+      'hero.title': 'Skills Without<br><span class="gradient-text">Borders</span>',
+      'hero.subtitle': 'Trade what you do best for what you need most. No invoices, no barriers, no limits. Connect with Egypt\'s creative community and grow together.',
+      'hero.joinEarlyAccess': 'Join Early Access',
+      'hero.seeHowItWorks': 'See How It Works',
+      'hero.proof': '<strong>500+ creators</strong> already signed up for early access',
+      'hero.imageAlt': 'Skill-swapping community illustration',
+      'skills.design': 'Design',
+      'skills.development': 'Development',
+      'skills.photography': 'Photography',
+      'skills.marketing': 'Marketing',
+
+      'stats.title': 'Egypt\'s creative economy<br><span class="gradient-text">by the numbers</span>',
+      'stats.intro': 'The data behind why Zintle is perfectly positioned for Egypt\'s digital transformation.',
+      'stats.selfEmployed': 'of Egyptians are self-employed',
+      'stats.selfEmployedDesc': 'A massive freelance economy ready for skill-based trading',
+      'stats.under30': 'of population under 30',
+      'stats.under30Desc': 'Young, tech-savvy creators driving innovation',
+      'stats.rank': 'global rank in freelancer density',
+      'stats.rankDesc': 'Higher than UK, Germany, and France combined',
+
+      'features.title': 'Everything you need.<br>Before you ask.',
+      'features.intro': 'Built for Egypt\'s creative economy with AI-powered features that remove barriers and create connections.',
+      'features.matching': 'AI-Powered Matching',
+      'features.matchingDesc': 'Smart algorithms that understand your skills, availability, and project needs to connect you with perfect collaboration partners in seconds.',
+      'features.escrow': 'Secure Escrow',
+      'features.escrowDesc': 'Credits stay protected until both parties confirm satisfaction. Built-in dispute resolution ensures fair exchanges.',
+      'features.credits': 'Credit Economy',
+      'features.creditsDesc': 'Trade services using community credits—no Egyptian pounds, no payment friction, no financial barriers.',
+      'features.growth': 'Gamified Growth System',
+      'features.growthDesc': 'Earn badges, climb levels from Bronze to Platinum, and showcase your expertise with verified achievements that matter to your community.',
+      'features.firstSwap': 'First Swap',
+      'features.topRated': 'Top Rated',
+      'features.communityLeader': 'Community Leader',
+
+      'ways.title': 'Three ways Zintle changes<br>how you work.',
+      'ways.intro': 'From eliminating payment barriers to building lasting professional relationships.',
+      'ways.networking': 'Professional Networking',
+      'ways.networkingDesc': 'Build genuine relationships with Egypt\'s creative community. Every successful swap creates lasting connections that extend beyond single projects.',
+      'ways.skills': 'Skill Development',
+      'ways.skillsDesc': 'Learn by doing while teaching others. Our platform helps you discover new skills through practical collaboration and knowledge exchange.',
+      'ways.business': 'Business Growth',
+      'ways.businessDesc': 'Scale your projects without cash flow constraints. Access premium services through skill trades and reinvest savings into growing your business.',
+
+      'how.title': 'Getting started is simple',
+      'how.intro': 'From profile creation to successful swaps—your journey to cash-free collaboration starts here.',
+      'how.profile': 'Create Your Profile',
+      'how.profileDesc': 'Showcase your skills, upload your portfolio, and complete verification to build instant trust in the community.',
+      'how.profileNote': 'Setup time: ~5 minutes',
+      'how.match': 'AI Finds Your Match',
+      'how.matchDesc': 'Our intelligent system suggests perfect partners based on your needs. Set terms, agree on credits, and define project timelines.',
+      'how.matchNote': 'AI matching in seconds',
+      'how.swap': 'Swap & Succeed',
+      'how.swapDesc': 'Complete the work, confirm satisfaction, release escrow credits, and earn reviews plus achievement badges.',
+      'how.swapNote': 'Secure & automated',
+
+      'proof.title': 'Built for Egypt\'s creative future',
+      'proof.text': 'With government support for startups and a growing digital economy, Egypt is ready for a skills revolution. Zintle connects the dots between talent, opportunity, and community growth.',
+      'proof.egypt': 'EGY-focused',
+      'proof.ai': 'AI-powered',
+
+      'cta.badge': 'Private Beta • Limited Access',
+      'cta.title': 'The turning point of<br><span class="gradient-text">creative work</span>',
+      'cta.text': 'Join Egypt\'s most innovative creators in redefining how creative work gets done. No barriers, no limits, no traditional payment friction.',
+      'cta.counterLabel': 'creators already joined',
+      'cta.liveCount': 'Live count',
+      'cta.spotsBefore': 'Only',
+      'cta.spotsAfter': 'spots left in private beta',
+
+      'form.step1': 'Step 1 of 3',
+      'form.emailPlaceholder': 'Enter your email',
+      'form.continue': 'Continue',
+      'form.emailLanguage': 'Send my emails in',
+      'form.step2': 'Step 2 of 3 • Help us build better',
+      'form.back': 'Back',
+      'form.joinBeta': 'Join Beta',
+      'form.selectOption': 'Select an option',
+      'form.welcome': 'Welcome to the future!',
+      'form.successTitle': 'You\'re in!',
+      'form.successText': 'We\'ll notify you when Zintle launches and send you exclusive early access.',
+      'form.pendingTitle': 'Almost there!',
+      'form.pendingText': 'We sent you a confirmation link. Click it to lock in your spot in the private beta.',
+      'form.queuedTitle': 'Not sent yet',
+      'form.queuedText': 'We couldn\'t reach our servers, so your signup is saved on this device. We\'ll send it automatically once you\'re back online. You\'re not on the waitlist until then.',
+      'form.benefitBeta': 'Early access to beta',
+      'form.benefitCredits': '100 free credits',
+      'form.benefitFounder': 'Founder status',
+      'form.shareLink': 'Share your link to move up the queue:',
+      'form.copy': 'Copy',
+      'form.copied': 'Copied!',
+
+      'errors.invalidEmail': 'Please enter a valid email address',
+      'errors.answerAll': 'Please answer all questions',
+      'errors.alreadyRegistered': 'This email is already registered! You\'re already on our waitlist. 🎉',
+      'errors.generic': 'Something went wrong',
+      'errors.invalidConfirmation': 'This confirmation link is invalid or has expired. Please sign up again.',
+      'errors.invalidResume': 'This link has expired or your signup is already complete. You can sign up again below.',
+      'errors.disposableEmail': 'Please use a permanent email address, not a temporary one.',
+      'errors.tooFast': 'That was quick! Please check your answers and try again.',
+      'errors.suspicious': 'We couldn\'t verify this signup. Please try again later.',
+      'errors.challengeFailed': 'Please complete the verification and try again.',
+
+      'footer.tagline': 'Skills without borders.<br> Growth without limits.',
+      'footer.rights': 'Zintle — All rights reserved. Made in Egypt.',
+      'footer.yourData': 'Your data',
+      'footer.backToTop': 'Back to top'
+    },
+
+    ar: {
+      'meta.title': 'زينتل – مهارات بلا حدود',
+      'meta.description': 'أول سوق للمهارات في مصر مدعوم بالذكاء الاصطناعي، حيث تلتقي الموهبة بالفرصة. بادل ما تجيده بما تحتاجه. بلا نقود، بلا عوائق، بلا حدود.',
+
+      'nav.howItWorks': 'كيف تعمل',
+      'nav.joinBeta': 'انضم للتجربة',
+      'nav.switchLanguage': 'English',
+      'nav.switchLanguageLabel': 'View this page in English',
+
+      'hero.badge': 'أول سوق للمهارات في مصر مدعوم بالذكاء الاصطناعي',
+      'hero.title': 'مهارات<br><span class="gradient-text">بلا حدود</span>',
+      'hero.subtitle': 'بادل ما تجيده بما تحتاجه أكثر. بلا فواتير، بلا عوائق، بلا حدود. تواصل مع المجتمع الإبداعي في مصر وانمُ معه.',
+      'hero.joinEarlyAccess': 'احجز وصولك المبكر',
+      'hero.seeHowItWorks': 'شاهد كيف تعمل',
+      'hero.proof': '<strong>أكثر من 500 مبدع</strong> سجّلوا بالفعل للوصول المبكر',
+      'hero.imageAlt': 'رسم توضيحي لمجتمع تبادل المهارات',
+      'skills.design': 'التصميم',
+      'skills.development': 'البرمجة',
+      'skills.photography': 'التصوير',
+      'skills.marketing': 'التسويق',
+
+      'stats.title': 'الاقتصاد الإبداعي في مصر<br><span class="gradient-text">بالأرقام</span>',
+      'stats.intro': 'البيانات التي تجعل زينتل في الموقع المثالي لمواكبة التحول الرقمي في مصر.',
+      'stats.selfEmployed': 'من المصريين يعملون لحسابهم الخاص',
+      'stats.selfEmployedDesc': 'اقتصاد عمل حر ضخم جاهز لتبادل المهارات',
+      'stats.under30': 'من السكان تحت سن الثلاثين',
+      'stats.under30Desc': 'مبدعون شباب متمكنون من التقنية يقودون الابتكار',
+      'stats.rank': 'عالمياً في كثافة العاملين المستقلين',
+      'stats.rankDesc': 'أعلى من المملكة المتحدة وألمانيا وفرنسا مجتمعة',
+
+      'features.title': 'كل ما تحتاجه.<br>قبل أن تطلبه.',
+      'features.intro': 'صُممت للاقتصاد الإبداعي في مصر بمزايا مدعومة بالذكاء الاصطناعي تزيل العوائق وتصنع الروابط.',
+      'features.matching': 'مطابقة بالذكاء الاصطناعي',
+      'features.matchingDesc': 'خوارزميات ذكية تفهم مهاراتك ووقتك واحتياجات مشروعك لتوصلك بشركاء التعاون المثاليين في ثوانٍ.',
+      'features.escrow': 'ضمان آمن',
+      'features.escrowDesc': 'تبقى الأرصدة محمية حتى يؤكد الطرفان رضاهما. وتضمن آلية حل النزاعات المدمجة تبادلاً عادلاً.',
+      'features.credits': 'اقتصاد الأرصدة',
+      'features.creditsDesc': 'بادل الخدمات بأرصدة المجتمع، بلا جنيهات مصرية وبلا تعقيدات دفع وبلا عوائق مالية.',
+      'features.growth': 'نظام نمو تفاعلي',
+      'features.growthDesc': 'اكسب الشارات وارتقِ من المستوى البرونزي إلى البلاتيني، واعرض خبرتك بإنجازات موثقة تهم مجتمعك.',
+      'features.firstSwap': 'أول تبادل',
+      'features.topRated': 'الأعلى تقييماً',
+      'features.communityLeader': 'قائد المجتمع',
+
+      'ways.title': 'ثلاث طرق تغيّر بها زينتل<br>طريقة عملك.',
+      'ways.intro': 'من إزالة عوائق الدفع إلى بناء علاقات مهنية تدوم.',
+      'ways.networking': 'شبكة علاقات مهنية',
+      'ways.networkingDesc': 'ابنِ علاقات حقيقية مع المجتمع الإبداعي في مصر. كل تبادل ناجح يصنع روابط تدوم لما بعد المشروع الواحد.',
+      'ways.skills': 'تطوير المهارات',
+      'ways.skillsDesc': 'تعلّم بالممارسة وأنت تعلّم غيرك. تساعدك منصتنا على اكتشاف مهارات جديدة عبر التعاون العملي وتبادل المعرفة.',
+      'ways.business': 'نمو الأعمال',
+      'ways.businessDesc': 'وسّع مشاريعك دون قيود السيولة. احصل على خدمات متميزة عبر تبادل المهارات واستثمر ما توفره في تنمية عملك.',
+
+      'how.title': 'البداية بسيطة',
+      'how.intro': 'من إنشاء ملفك إلى التبادلات الناجحة، رحلتك نحو تعاون بلا نقود تبدأ هنا.',
+      'how.profile': 'أنشئ ملفك',
+      'how.profileDesc': 'اعرض مهاراتك وارفع أعمالك وأكمل التحقق لتبني ثقة فورية في المجتمع.',
+      'how.profileNote': 'وقت الإعداد: حوالي 5 دقائق',
+      'how.match': 'الذكاء الاصطناعي يجد شريكك',
+      'how.matchDesc': 'يقترح نظامنا الذكي الشركاء المثاليين حسب احتياجاتك. حدّد الشروط واتفق على الأرصدة وضع الجدول الزمني للمشروع.',
+      'how.matchNote': 'مطابقة ذكية في ثوانٍ',
+      'how.swap': 'بادل وانجح',
+      'how.swapDesc': 'أنجز العمل وأكّد رضاك وحرّر أرصدة الضمان، واحصل على التقييمات وشارات الإنجاز.',
+      'how.swapNote': 'آمن وتلقائي',
+
+      'proof.title': 'صُممت لمستقبل مصر الإبداعي',
+      'proof.text': 'مع دعم الحكومة للشركات الناشئة ونمو الاقتصاد الرقمي، مصر مستعدة لثورة في المهارات. تربط زينتل بين الموهبة والفرصة ونمو المجتمع.',
+      'proof.egypt': 'موجّهة لمصر',
+      'proof.ai': 'مدعومة بالذكاء الاصطناعي',
+
+      'cta.badge': 'نسخة تجريبية خاصة • وصول محدود',
+      'cta.title': 'نقطة التحول في<br><span class="gradient-text">العمل الإبداعي</span>',
+      'cta.text': 'انضم إلى أكثر المبدعين ابتكاراً في مصر لإعادة تعريف طريقة إنجاز العمل الإبداعي. بلا عوائق، بلا حدود، بلا تعقيدات الدفع التقليدية.',
+      'cta.counterLabel': 'مبدع انضموا بالفعل',
+      'cta.liveCount': 'عدد مباشر',
+      'cta.spotsBefore': 'تبقّى',
+      'cta.spotsAfter': 'مكاناً فقط في النسخة التجريبية الخاصة',
+
+      'form.step1': 'الخطوة 1 من 3',
+      'form.emailPlaceholder': 'أدخل بريدك الإلكتروني',
+      'form.continue': 'متابعة',
+      'form.emailLanguage': 'أرسل رسائلي باللغة',
+      'form.step2': 'الخطوة 2 من 3 • ساعدنا لنبني أفضل',
+      'form.back': 'رجوع',
+      'form.joinBeta': 'انضم للتجربة',
+      'form.selectOption': 'اختر إجابة',
+      'form.welcome': 'أهلاً بك في المستقبل!',
+      'form.successTitle': 'أنت معنا!',
+      'form.successText': 'سنبلغك عند إطلاق زينتل ونرسل لك وصولاً مبكراً حصرياً.',
+      'form.pendingTitle': 'اقتربت!',
+      'form.pendingText': 'أرسلنا لك رابط تأكيد. اضغط عليه لتثبيت مكانك في النسخة التجريبية الخاصة.',
+      'form.queuedTitle': 'لم يُرسَل بعد',
+      'form.queuedText': 'تعذّر الوصول إلى خوادمنا، لذلك حفظنا تسجيلك على هذا الجهاز. سنرسله تلقائياً فور عودة الاتصال، ولن تكون في قائمة الانتظار قبل ذلك.',
+      'form.benefitBeta': 'وصول مبكر إلى النسخة التجريبية',
+      'form.benefitCredits': '100 رصيد مجاني',
+      'form.benefitFounder': 'لقب مؤسس',
+      'form.shareLink': 'شارك رابطك لتتقدّم في الطابور:',
+      'form.copy': 'نسخ',
+      'form.copied': 'تم النسخ!',
+
+      'errors.invalidEmail': 'يرجى إدخال بريد إلكتروني صحيح',
+      'errors.answerAll': 'يرجى الإجابة عن جميع الأسئلة',
+      'errors.alreadyRegistered': 'هذا البريد مسجّل بالفعل! أنت موجود في قائمة الانتظار. 🎉',
+      'errors.generic': 'حدث خطأ ما',
+      'errors.invalidConfirmation': 'رابط التأكيد هذا غير صالح أو منتهي الصلاحية. يرجى التسجيل مرة أخرى.',
+      'errors.invalidResume': 'انتهت صلاحية هذا الرابط أو اكتمل تسجيلك بالفعل. يمكنك التسجيل مرة أخرى أدناه.',
+      'errors.disposableEmail': 'يرجى استخدام بريد إلكتروني دائم وليس بريدًا مؤقتًا.',
+      'errors.tooFast': 'كان ذلك سريعًا! يرجى مراجعة إجاباتك والمحاولة مرة أخرى.',
+      'errors.suspicious': 'لم نتمكن من التحقق من هذا التسجيل. يرجى المحاولة لاحقًا.',
+      'errors.challengeFailed': 'يرجى إكمال خطوة التحقق والمحاولة مرة أخرى.',
+
+      'footer.tagline': 'مهارات بلا حدود.<br> نمو بلا حدود.',
+      'footer.rights': 'زينتل — جميع الحقوق محفوظة. صُنع في مصر.',
+      'footer.yourData': 'بياناتك',
+      'footer.backToTop': 'العودة إلى الأعلى'
+    }
+  };
+
+  function normalizeLocale(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return MESSAGES[language] ? language : null;
+  }
+
+  // ?lang= wins, then the saved choice, then the browser language
+  function detectLocale() {
+    const fromQuery = normalizeLocale(new URLSearchParams(window.location.search).get('lang'));
+    if (fromQuery) return fromQuery;
+
+    try {
+      const saved = normalizeLocale(localStorage.getItem(STORAGE_KEY));
+      if (saved) return saved;
+    } catch (error) {
+      // Storage unavailable (private mode); fall through to the browser
+    }
+
+    return normalizeLocale(navigator.language) || DEFAULT_LOCALE;
+  }
+
+  let currentLocale = detectLocale();
+
+  // Message for a key with {name} placeholders filled from params
+  function t(key, params = {}) {
+    const message = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  function getDirection(locale = currentLocale) {
+    return RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr';
+  }
+
+  function apply(root = document) {
+    document.documentElement.lang = currentLocale;
+    document.documentElement.dir = getDirection();
+    document.title = t('meta.title');
+    document.querySelector('meta[name="description"]')?.setAttribute('content', t('meta.description'));
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+      el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-i18n-alt]').forEach(el => {
+      el.alt = t(el.dataset.i18nAlt);
+    });
+  }
+
+  // Switch language, remember it and tell the rest of the page
+  function setLocale(locale) {
+    const next = normalizeLocale(locale) || DEFAULT_LOCALE;
+    if (next === currentLocale) return;
+
+    currentLocale = next;
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      // Storage unavailable (private mode); the choice lasts for this page
+    }
+
+    apply();
+    document.dispatchEvent(new CustomEvent('zintle:localechange', { detail: { locale: next } }));
+  }
+
+  function getLocale() {
+    return currentLocale;
+  }
+
+  // Loaded at the end of <body>, so the page is already parsed; applying
+  // right away keeps Arabic visitors from seeing the English copy flash
+  apply();
+
+  window.ZintleI18n = { t, apply, setLocale, getLocale, getDirection };
+})();
@@ -0,0 +1,120 @@
+// Live updates for the landing page. Connects over WebSocket and, when the
+// connection drops, reconnects with jittered exponential backoff so a server
+// restart doesn't bring every visitor back at the same moment. Messages sent
+// while disconnected are lost, so `onResync` runs after every reconnect for
+// the page to catch up.
+//
+// Some corporate proxies block the WebSocket upgrade. If the socket has never
+// opened after a few attempts, the same messages are read from a
+// Server-Sent Events stream instead.
+//
+//   const connection = ZintleRealtime.connect({ wsUrl, sseUrl, onMessage, onResync });
+//   connection.close();
+(function() {
+  const BASE_DELAY_MS = 1000;
+  const MAX_DELAY_MS = 30000;
+  const WS_ATTEMPTS_BEFORE_SSE = 3;
+
+  function connect({ wsUrl, sseUrl, onMessage, onResync = () => {}, onStatus = () => {} }) {
+    let source = null;
+    let timer = null;
+    let reopen = null;
+    let attempt = 0;
+    let wsFailures = 0;
+    let wsOpened = false;
+    let hasConnected = false;
+    let closed = false;
+
+    function handle(data) {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return console.log('Ignoring malformed realtime message');
+      }
+      onMessage(message);
+    }
+
+    function connected(transport) {
+      attempt = 0;
+      onStatus('connected', transport);
+      if (hasConnected) onResync();
+      hasConnected = true;
+    }
+
+    // Wait BASE_DELAY_MS * 2^attempt, capped, with the upper half randomised
+    function scheduleReconnect(open) {
+      const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+      attempt++;
+      onStatus('reconnecting');
+      reopen = open;
+      timer = setTimeout(() => {
+        timer = null;
+        open();
+      }, delay / 2 + Math.random() * delay / 2);
+    }
+
+    function openWebSocket() {
+      if (!('WebSocket' in window)) return openEventSource();
+
+      const socket = new WebSocket(wsUrl);
+      let opened = false;
+      source = socket;
+
+      socket.onopen = () => {
+        opened = true;
+        wsOpened = true;
+        connected('websocket');
+      };
+      socket.onmessage = (event) => handle(event.data);
+      socket.onclose = () => {
+        if (closed || source !== socket) return;
+        if (!opened) wsFailures++;
+
+        if (!wsOpened && wsFailures >= WS_ATTEMPTS_BEFORE_SSE && sseUrl && 'EventSource' in window) {
+          console.log('WebSocket blocked, falling back to Server-Sent Events');
+          return openEventSource();
+        }
+        scheduleReconnect(openWebSocket);
+      };
+    }
+
+    function openEventSource() {
+      const stream = new EventSource(sseUrl);
+      source = stream;
+
+      stream.onopen = () => connected('sse');
+      stream.onmessage = (event) => handle(event.data);
+      // EventSource retries on its own at a fixed rate; close it and use
+      // our backoff instead
+      stream.onerror = () => {
+        stream.close();
+        if (closed || source !== stream) return;
+        scheduleReconnect(openEventSource);
+      };
+    }
+
+    function reconnectNow() {
+      if (closed || !timer) return;
+      clearTimeout(timer);
+      timer = null;
+      attempt = 0;
+      reopen();
+    }
+
+    // Back online: no point waiting out the backoff
+    window.addEventListener('online', reconnectNow);
+    openWebSocket();
+
+    return {
+      close() {
+        closed = true;
+        clearTimeout(timer);
+        window.removeEventListener('online', reconnectNow);
+        if (source) source.close();
+      }
+    };
+  }
+
+  window.ZintleRealtime = { connect };
+})();
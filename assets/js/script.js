@@ -159,18 +159,42 @@ window.addEventListener('scroll', () => {
 });
 
 // Enhanced script.js
+
+// Reasons the server's bot checks give for turning a signup away
+const SIGNUP_REJECTION_KEYS = {
+  disposable_email: 'errors.disposableEmail',
+  too_fast: 'errors.tooFast',
+  suspicious: 'errors.suspicious',
+  challenge_failed: 'errors.challengeFailed'
+};
+
 class ZintleWaitlist {
   constructor() {
     this.currentStep = 1;
     this.formData = {};
-    this.websocket = null;
+    this.partialSavedFor = null;
+    // When the visitor started on the form, for the server's too-fast check
+    this.formStartedAt = Date.now();
+    this.challengeToken = null;
+    this.challengeWidget = null;
+    this.surveyQuestions = [];
+    this.sessionId = this.getSessionId();
+    this.realtime = null;
     this.isBackendAvailable = false;
     this.init();
   }
 
   init() {
-    this.checkBackendAvailability();
-    this.setupWebSocket();
+    this.trackEvent('page_view');
+    this.captureReferralCode();
+    this.setupLanguageSwitch();
+    this.detectEmailLanguage();
+    this.handleConfirmationRedirect();
+    this.handleResumeLink();
+    this.setupSignupQueue();
+    // Live updates only make sense once we know the backend is there
+    this.checkBackendAvailability().then(() => this.setupRealtime());
+    this.loadSurvey();
     this.loadDynamicData();
     this.setupEventListeners();
     this.initializeCounters();
@@ -179,7 +203,7 @@ class ZintleWaitlist {
   // Add the missing method
   async checkBackendAvailability() {
     try {
-      const response = await fetch('http://localhost:3001/api/stats');
+      const response = await fetch(ZintleConfig.apiUrl('/api/stats'));
       this.isBackendAvailable = response.ok;
       console.log('Backend available:', this.isBackendAvailable);
     } catch (error) {
@@ -188,6 +212,215 @@ class ZintleWaitlist {
     }
   }
 
+  // Anonymous per-tab ID so funnel events can be grouped into visits
+  getSessionId() {
+    const generate = () => (window.crypto && crypto.randomUUID)
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    try {
+      let id = sessionStorage.getItem('zintle_session');
+      if (!id) {
+        id = generate();
+        sessionStorage.setItem('zintle_session', id);
+      }
+      return id;
+    } catch (error) {
+      return generate();
+    }
+  }
+
+  // Fire-and-forget funnel beacon; keepalive lets it outlive page unloads
+  trackEvent(event, { step, properties } = {}) {
+    if (!ZintleConfig.isEnabled('analytics')) return;
+
+    fetch(ZintleConfig.apiUrl('/api/events'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: this.sessionId, event, step, properties }),
+      keepalive: true
+    }).catch(() => {});
+  }
+
+  // Step 2 is rendered from the server's survey definition, in the page language
+  async loadSurvey() {
+    try {
+      const response = await fetch(ZintleConfig.apiUrl(`/api/survey?locale=${ZintleI18n.getLocale()}`));
+      if (!response.ok) return;
+      const { questions } = await response.json();
+      this.surveyQuestions = questions;
+      this.renderSurvey();
+    } catch (error) {
+      console.log('Survey not available, skipping step 2 questions');
+    }
+  }
+
+  renderSurvey() {
+    const container = document.getElementById('survey-questions');
+    if (!container) return;
+
+    // Keep answers given so far when re-rendering after a language switch
+    const answers = this.surveyQuestions.map(question => [question, this.getQuestionAnswer(question)]);
+
+    container.innerHTML = this.surveyQuestions.map(question => `
+      <div class="question-group">
+        <label>${question.label}</label>
+        ${this.renderQuestionInput(question)}
+      </div>
+    `).join('');
+
+    answers.forEach(([question, answer]) => {
+      if (answer !== undefined) this.setQuestionAnswer(question, answer);
+    });
+  }
+
+  renderQuestionInput(question) {
+    if (question.type === 'select') {
+      return `
+        <select name="${question.id}" class="enhanced-select" required>
+          <option value="">${question.placeholder || ZintleI18n.t('form.selectOption')}</option>
+          ${question.options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+        </select>
+      `;
+    }
+
+    if (question.type === 'radio') {
+      return `
+        <div class="radio-group">
+          ${question.options.map(option => `
+            <label class="radio-option">
+              <input type="radio" name="${question.id}" value="${option.value}">
+              <span>${option.label}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="interest-scale">
+        <input type="range" name="${question.id}" min="${question.min}" max="${question.max}" value="${question.defaultValue}" class="slider">
+        <div class="scale-labels">
+          <span>${question.minLabel || question.min}</span>
+          <span>${question.maxLabel || question.max}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  getQuestionAnswer(question) {
+    if (question.type === 'radio') {
+      return document.querySelector(`[name="${question.id}"]:checked`)?.value;
+    }
+    return document.querySelector(`[name="${question.id}"]`)?.value;
+  }
+
+  setQuestionAnswer(question, answer) {
+    if (question.type === 'radio') {
+      const option = document.querySelector(`[name="${question.id}"][value="${answer}"]`);
+      if (option) option.checked = true;
+      return;
+    }
+    const input = document.querySelector(`[name="${question.id}"]`);
+    if (input) input.value = answer;
+  }
+
+  // Remember ?ref= across reloads so the referrer still gets credit
+  // if the visitor browses around before signing up
+  captureReferralCode() {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    try {
+      if (ref) {
+        localStorage.setItem('zintle_ref', ref);
+      }
+      this.formData.referralCode = ref || localStorage.getItem('zintle_ref') || undefined;
+    } catch (error) {
+      this.formData.referralCode = ref || undefined;
+    }
+  }
+
+  // The header button flips the page between English and Arabic
+  setupLanguageSwitch() {
+    const button = document.getElementById('language-switch');
+    if (button) {
+      button.addEventListener('click', () => {
+        ZintleI18n.setLocale(ZintleI18n.getLocale() === 'ar' ? 'en' : 'ar');
+      });
+    }
+
+    document.addEventListener('zintle:localechange', () => {
+      this.detectEmailLanguage();
+      this.loadSurvey();
+    });
+  }
+
+  // Emails default to the page language until the visitor picks one
+  detectEmailLanguage() {
+    const select = document.getElementById('email-language');
+    if (!select) return;
+
+    if (!select.dataset.bound) {
+      select.dataset.bound = 'true';
+      select.addEventListener('change', () => {
+        select.dataset.chosen = 'true';
+      });
+    }
+    if (!select.dataset.chosen) {
+      select.value = ZintleI18n.getLocale();
+    }
+  }
+
+  // /api/confirm redirects back here with ?confirmed=1 or ?confirmed=invalid
+  handleConfirmationRedirect() {
+    const confirmed = new URLSearchParams(window.location.search).get('confirmed');
+    if (!confirmed) return;
+
+    if (confirmed === '1') {
+      this.currentStep = 3;
+      this.showStep(3);
+      this.celebrateSignup();
+    } else {
+      this.showError(ZintleI18n.t('errors.invalidConfirmation'));
+    }
+  }
+
+  // Reminder emails for unfinished signups link back with ?resume=<token>;
+  // reopen the form at step 2 with the email filled in
+  async handleResumeLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('resume');
+    if (!token) return;
+
+    // Don't reopen the form on every reload
+    params.delete('resume');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    try {
+      const response = await fetch(ZintleConfig.apiUrl(`/api/waitlist/resume/${encodeURIComponent(token)}`));
+      if (!response.ok) {
+        this.showError(ZintleI18n.t('errors.invalidResume'));
+        return;
+      }
+
+      const { email, locale } = await response.json();
+      document.getElementById('email-input').value = email;
+      const select = document.getElementById('email-language');
+      if (select) {
+        select.value = locale;
+        select.dataset.chosen = 'true';
+      }
+
+      this.formData.email = email;
+      this.formData.locale = locale;
+      this.partialSavedFor = email;
+      this.currentStep = 2;
+      this.showStep(2);
+      this.renderChallenge();
+    } catch (error) {
+      console.log('Could not load the signup to resume');
+    }
+  }
+
   initializeCounters() {
     // Initialize counter with fallback values immediately
     let counter = document.getElementById('dynamic-counter');
@@ -207,37 +440,32 @@ class ZintleWaitlist {
     }
   }
 
-  setupWebSocket() {
-    if (!this.isBackendAvailable) return;
-    
-    try {
-      this.websocket = new WebSocket('ws://localhost:8080');
-      
-      this.websocket.onopen = () => {
-        console.log('WebSocket connected');
-      };
-      
-      this.websocket.onerror = (error) => {
-        console.log('WebSocket connection failed, running in static mode');
-      };
-      
-      this.websocket.onmessage = (event) => {
-        const data = JSON.parse(event.data);
+  // Counter and spots update live; after a dropped connection the stats
+  // are re-fetched to catch up on anything missed
+  setupRealtime() {
+    if (!this.isBackendAvailable || this.realtime || !ZintleConfig.isEnabled('realtime')) return;
+
+    this.realtime = ZintleRealtime.connect({
+      wsUrl: ZintleConfig.realtimeUrl(),
+      sseUrl: ZintleConfig.isEnabled('sseFallback') ? ZintleConfig.apiUrl('/api/stream') : null,
+      onMessage: (data) => {
         if (data.type === 'counter_update') {
           this.updateCounter(data.count);
         }
         if (data.type === 'spots_update') {
           this.updateSpotsLeft(data.spots);
         }
-      };
-    } catch (error) {
-      console.log('WebSocket not available, running in static mode');
-    }
+      },
+      onResync: () => this.loadDynamicData(),
+      onStatus: (status, transport) => {
+        console.log(status === 'connected' ? `Live updates connected (${transport})` : 'Live updates lost, reconnecting');
+      }
+    });
   }
 
   async loadDynamicData() {
     try {
-      const response = await fetch('http://localhost:3001/api/stats');
+      const response = await fetch(ZintleConfig.apiUrl('/api/stats'));
       const data = await response.json();
       
       console.log('API Response:', data); // Debug log
@@ -310,8 +538,14 @@ class ZintleWaitlist {
 
   nextStep() {
     if (this.validateCurrentStep()) {
+      if (this.currentStep === 1) {
+        this.savePartialSignup();
+      }
       this.currentStep++;
       this.showStep(this.currentStep);
+      if (this.currentStep === 2) {
+        this.renderChallenge();
+      }
     }
   }
 
@@ -328,6 +562,7 @@ class ZintleWaitlist {
     });
     
     document.getElementById(`step-${step}`).classList.add('active');
+    this.trackEvent('step_shown', { step });
     
     // Update progress bar
     const progressFill = document.querySelector('.progress-fill');
@@ -340,68 +575,142 @@ class ZintleWaitlist {
     if (this.currentStep === 1) {
       const email = document.getElementById('email-input').value;
       if (!this.validateEmail(email)) {
-        this.showError('Please enter a valid email address');
+        this.showError(ZintleI18n.t('errors.invalidEmail'));
         return false;
       }
       this.formData.email = email;
+      this.formData.locale = document.getElementById('email-language')?.value || ZintleI18n.getLocale();
     }
     
     if (this.currentStep === 2) {
-      const primarySkill = document.querySelector('[name="primary_skill"]').value;
-      const biggestChallenge = document.querySelector('[name="biggest_challenge"]:checked')?.value;
-      const interestLevel = document.querySelector('[name="interest_level"]').value;
+      const answers = this.surveyQuestions.map(question => [question, this.getQuestionAnswer(question)]);
       
-      if (!primarySkill || !biggestChallenge || !interestLevel) {
-        this.showError('Please answer all questions');
+      if (answers.some(([, answer]) => !answer)) {
+        this.showError(ZintleI18n.t('errors.answerAll'));
         return false;
       }
       
-      this.formData.primarySkill = primarySkill;
-      this.formData.biggestChallenge = biggestChallenge;
-      this.formData.interestLevel = interestLevel;
+      answers.forEach(([question, answer]) => {
+        this.formData[question.field] = question.type === 'scale' ? parseInt(answer) : answer;
+      });
     }
     
+    this.trackEvent('step_validated', { step: this.currentStep });
     return true;
   }
 
+  // Keep the email from step 1 so a visitor who leaves before the survey
+  // can be reminded to finish; nothing depends on this succeeding
+  savePartialSignup() {
+    const { email, locale } = this.formData;
+    if (this.partialSavedFor === email) return;
+    this.partialSavedFor = email;
+
+    fetch(ZintleConfig.apiUrl('/api/waitlist/partial'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, locale, website: this.getHoneypot() }),
+      keepalive: true
+    }).catch(() => {});
+  }
+
+  getHoneypot() {
+    return document.getElementById('website')?.value || '';
+  }
+
+  // Show the human-verification widget while the survey is being answered,
+  // so the token is ready by the time the form is sent
+  async renderChallenge() {
+    const { provider, siteKey } = ZintleConfig.challenge();
+    if (provider !== 'turnstile' || this.challengeWidget !== null) return;
+
+    try {
+      await this.loadScript('https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit');
+      this.challengeWidget = turnstile.render('#signup-challenge', {
+        sitekey: siteKey,
+        language: ZintleI18n.getLocale(),
+        callback: (token) => { this.challengeToken = token; },
+        'expired-callback': () => { this.challengeToken = null; }
+      });
+    } catch (error) {
+      console.log('Verification widget not available');
+    }
+  }
+
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = resolve;
+      script.onerror = reject;
+      document.head.appendChild(script);
+    });
+  }
+
+  // Tokens are single-use; get a fresh one in case this attempt is rejected
+  resetChallenge() {
+    if (this.challengeWidget === null) return;
+    this.challengeToken = null;
+    turnstile.reset(this.challengeWidget);
+  }
+
+  // Signups that can't reach the server are kept and retried in the
+  // background; finish the ones that settle later, even on a later visit
+  setupSignupQueue() {
+    ZintleSignupQueue.init({
+      url: ZintleConfig.apiUrl('/api/waitlist'),
+      onSettled: (outcome) => this.handleSignupResult(outcome)
+    });
+  }
+
   async submitForm() {
     if (!this.validateCurrentStep()) return;
-    
-    if (!this.isBackendAvailable) {
-      console.log('Demo mode: Form data would be:', this.formData);
+    if (this.challengeWidget !== null && !this.challengeToken) {
+      this.showError(ZintleI18n.t('errors.challengeFailed'));
+      return;
+    }
+
+    const outcome = await ZintleSignupQueue.submit({
+      ...this.formData,
+      website: this.getHoneypot(),
+      elapsedMs: Date.now() - this.formStartedAt,
+      challengeToken: this.challengeToken || undefined
+    });
+    this.resetChallenge();
+    if (outcome.status === 'queued') {
+      this.trackEvent('submit', { step: 2, properties: { queued: true } });
       this.currentStep = 3;
       this.showStep(3);
-      this.celebrateSignup();
+      this.showQueuedSignup();
       return;
     }
-    
-    try {
-      const response = await fetch('http://localhost:3001/api/waitlist', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(this.formData)
-      });
-      
-      const result = await response.json();
-      
-      if (response.ok) {
-        this.currentStep = 3;
-        this.showStep(3);
-        this.celebrateSignup();
-        
-        // Refresh counter after successful submission
-        setTimeout(() => {
-          this.loadDynamicData();
-        }, 500);
-      } else if (response.status === 409) {
-        this.showError('This email is already registered! You\'re already on our waitlist. 🎉');
+
+    this.handleSignupResult(outcome);
+  }
+
+  handleSignupResult({ response, result }) {
+    if (response.ok) {
+      this.trackEvent('submit', { step: 2, properties: { pending: Boolean(result.pending) } });
+      this.currentStep = 3;
+      this.showStep(3);
+      if (result.pending) {
+        this.showPendingConfirmation();
       } else {
-        this.showError(result.error || 'Something went wrong');
+        this.celebrateSignup();
       }
-    } catch (error) {
-      this.showError('Network error. Please try again.');
+      this.showReferralLink(result.referralLink);
+
+      // Refresh counter after successful submission
+      setTimeout(() => {
+        this.loadDynamicData();
+      }, 500);
+    } else if (response.status === 409) {
+      this.showError(ZintleI18n.t('errors.alreadyRegistered'));
+    } else if (SIGNUP_REJECTION_KEYS[result.code]) {
+      this.showError(ZintleI18n.t(SIGNUP_REJECTION_KEYS[result.code]));
+    } else {
+      this.showError(result.error || ZintleI18n.t('errors.generic'));
     }
   }
 
@@ -411,6 +720,8 @@ class ZintleWaitlist {
   }
 
   showError(message) {
+    this.trackEvent('error', { step: this.currentStep, properties: { message: message.slice(0, 200) } });
+
     // Create and show error toast
     const toast = document.createElement('div');
     toast.className = 'error-toast';
@@ -422,6 +733,60 @@ class ZintleWaitlist {
     }, 3000);
   }
 
+  showPendingConfirmation() {
+    this.showSuccessMessage('form.pendingTitle', 'form.pendingText');
+  }
+
+  // Saved on this device but not sent yet; say so rather than celebrate
+  showQueuedSignup() {
+    this.showSuccessMessage('form.queuedTitle', 'form.queuedText');
+  }
+
+  showSuccessMessage(titleKey, textKey) {
+    const title = document.getElementById('success-title');
+    const text = document.getElementById('success-text');
+
+    // Swapping the key keeps the message right if the language changes later
+    if (title) {
+      title.dataset.i18n = titleKey;
+      title.textContent = ZintleI18n.t(titleKey);
+    }
+    if (text) {
+      text.dataset.i18n = textKey;
+      text.textContent = ZintleI18n.t(textKey);
+    }
+  }
+
+  showReferralLink(link) {
+    const container = document.getElementById('referral-share');
+    const input = document.getElementById('referral-link');
+    if (!container || !input || !link) return;
+
+    input.value = link;
+    container.hidden = false;
+
+    const copyBtn = document.getElementById('copy-referral-link');
+    if (copyBtn) {
+      copyBtn.onclick = async () => {
+        try {
+          await navigator.clipboard.writeText(link);
+        } catch (error) {
+          input.select();
+          document.execCommand('copy');
+        }
+        const label = copyBtn.querySelector('span');
+        label.dataset.i18n = 'form.copied';
+        label.textContent = ZintleI18n.t('form.copied');
+      };
+    }
+
+    try {
+      localStorage.removeItem('zintle_ref');
+    } catch (error) {
+      // Storage unavailable (private mode); nothing to clean up
+    }
+  }
+
   celebrateSignup() {
     // Add celebration animation
     const celebration = document.createElement('div');
@@ -473,7 +838,8 @@ function createBackToTopButton() {
   const backToTop = document.createElement('button');
   backToTop.className = 'back-to-top';
   backToTop.innerHTML = '<i data-lucide="arrow-up"></i>';
-  backToTop.setAttribute('aria-label', 'Back to top');
+  backToTop.dataset.i18nAriaLabel = 'footer.backToTop';
+  backToTop.setAttribute('aria-label', ZintleI18n.t('footer.backToTop'));
   
   document.body.appendChild(backToTop);
   
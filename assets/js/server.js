@@ -3,16 +3,85 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const WebSocket = require('ws');
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
 const path = require('path');
+const fs = require('fs');
 const EmailService = require('../services/emailService'); // Add this line
+const AdminAuthService = require('../services/adminAuthService');
+const ReferralService = require('../services/referralService');
+const TokenService = require('../services/tokenService');
+const ConfirmationService = require('../services/confirmationService');
+const PreferenceService = require('../services/preferenceService');
+const PrivacyService = require('../services/privacyService');
+const InvitationService = require('../services/invitationService');
+const SurveyService = require('../services/surveyService');
+const EventService = require('../services/eventService');
+const EmailOutboxService = require('../services/emailOutboxService');
+const CampaignService = require('../services/campaignService');
+const SegmentService = require('../services/segmentService');
+const ExportService = require('../services/exportService');
+const ImportService = require('../services/importService');
+const UserSearchService = require('../services/userSearchService');
+const RealtimeService = require('../services/realtimeService');
+const PartialSignupService = require('../services/partialSignupService');
+const SignupGuardService = require('../services/signupGuardService');
+const { createChallengeProvider } = require('../services/challengeProviders');
+const DuplicateUserService = require('../services/duplicateUserService');
+const { normalizeLocale } = require('../services/locales');
+const { canonicalEmail, findUserByEmail } = require('../services/emailAddresses');
 
 const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3001;
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const challenge = createChallengeProvider();
+
+// Runtime config for the landing page scripts (see assets/js/config.js).
+// Empty URLs mean same-origin, which is right unless the API is hosted
+// somewhere other than the page.
+const FRONTEND_CONFIG = {
+  apiBase: (process.env.PUBLIC_API_URL || '').replace(/\/$/, ''),
+  realtimeUrl: process.env.PUBLIC_REALTIME_URL || '',
+  features: {
+    realtime: process.env.FEATURE_REALTIME !== 'false',
+    sseFallback: process.env.FEATURE_SSE_FALLBACK !== 'false',
+    analytics: process.env.FEATURE_ANALYTICS !== 'false'
+  },
+  // Widget for the signup form to render, if any
+  challenge: { provider: challenge.name, siteKey: challenge.siteKey }
+};
+// Turnstile's widget script and iframe, when it's in use
+const CHALLENGE_ORIGINS = challenge.name === 'turnstile' ? ['https://challenges.cloudflare.com'] : [];
 const emailService = new EmailService(); // Add this line
+const outbox = new EmailOutboxService(prisma, { emailService });
+const adminAuth = new AdminAuthService(prisma);
+// Pages on APP_URL and any extra origins (e.g. a CDN-hosted landing page)
+// may open WebSockets
+const realtime = new RealtimeService({
+  allowedOrigins: [APP_URL, ...(process.env.WS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)]
+});
+const referrals = new ReferralService(prisma, { appUrl: APP_URL });
+const survey = new SurveyService();
+const events = new EventService(prisma);
+const tokens = new TokenService();
+const confirmations = new ConfirmationService(prisma, { tokens, appUrl: APP_URL });
+const signupGuard = new SignupGuardService(prisma, { challenge });
+const preferences = new PreferenceService(prisma, { tokens, appUrl: APP_URL });
+const partialSignups = new PartialSignupService(prisma, { tokens, appUrl: APP_URL, outbox, preferences });
+const privacy = new PrivacyService(prisma, { tokens, appUrl: APP_URL, referrals });
+const segments = new SegmentService(prisma, { survey, preferences });
+const campaigns = new CampaignService(prisma, { emailService, preferences, segments });
+const waitlistExport = new ExportService(prisma, { survey, segments });
+const userSearch = new UserSearchService(prisma, { survey, segments });
+const duplicates = new DuplicateUserService(prisma);
+const invitations = new InvitationService(prisma, {
+  tokens,
+  appUrl: APP_URL,
+  referrals,
+  preferences,
+  outbox
+});
 
 // Middleware
 app.use(helmet({
@@ -21,56 +90,299 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "https://unpkg.com"],
+      scriptSrc: ["'self'", "'unsafe-inline'", "https://unpkg.com", ...CHALLENGE_ORIGINS],
       scriptSrcAttr: ["'unsafe-inline'"], // Add this line for inline event handlers
       imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "ws://localhost:8080"]
+      frameSrc: ["'self'", ...CHALLENGE_ORIGINS],
+      connectSrc: [
+        "'self'",
+        APP_URL.replace(/^http/, 'ws'),
+        ...[FRONTEND_CONFIG.apiBase, FRONTEND_CONFIG.realtimeUrl].filter(Boolean).map(url => new URL(url).origin)
+      ]
     }
   }
 }));
 app.use(cors());
 app.use(express.json());
-app.use(express.static('.'));  // Serve from project root
-app.use('/assets', express.static('assets'));  // Explicit assets path
-
 
-// Root route handler
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../../index.html'));
+// Root route handler. Registered before the static files so the page gets
+// this server's runtime config.
+app.get(['/', '/index.html'], async (req, res, next) => {
+  try {
+    const html = await fs.promises.readFile(path.join(__dirname, '../../index.html'), 'utf8');
+    const config = JSON.stringify(FRONTEND_CONFIG).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    res.type('html').send(html.replace('<meta name="zintle-config" content="">', `<meta name="zintle-config" content="${config}">`));
+  } catch (error) {
+    next(error);
+  }
 });
 
+// The project root also holds the SQLite database; never serve it statically
+app.use('/prisma', (req, res) => res.status(404).end());
+app.use(express.static('.'));  // Serve from project root
+app.use('/assets', express.static('assets'));  // Explicit assets path
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP'
+  message: 'Too many requests from this IP',
+  // Funnel beacons have their own, more generous limit
+  skip: (req) => req.path === '/events'
 });
 app.use('/api/', limiter);
 
+// A single visit sends several funnel events
+const eventLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many requests from this IP'
+});
+
+// Stricter limit on admin logins to slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many login attempts, please try again later'
+});
+
 // Validation schemas
+// Survey answers are validated against the question definitions
 const waitlistSchema = Joi.object({
   email: Joi.string().email().required(),
-  primarySkill: Joi.string().required(),
-  biggestChallenge: Joi.string().required(),
-  interestLevel: Joi.number().min(1).max(5).required()
+  ...survey.answerSchemaKeys(),
+  referralCode: Joi.string().max(32).allow('', null),
+  // Browser language or the one picked in the form, e.g. 'ar-EG'
+  locale: Joi.string().max(35).allow('', null),
+  // Bot checks, see SignupGuardService: a hidden field that must stay
+  // empty, how long the form was open, and the challenge widget's token
+  website: Joi.string().max(200).allow('', null),
+  elapsedMs: Joi.number().integer().min(0),
+  challengeToken: Joi.string().max(2048).allow('', null)
+});
+
+const leadImport = new ImportService(prisma, { survey, referrals, schema: waitlistSchema });
+
+// Step 1 of the form, saved before the survey is answered
+const partialSignupSchema = Joi.object({
+  email: Joi.string().email().required(),
+  locale: Joi.string().max(35).allow('', null),
+  website: Joi.string().max(200).allow('', null)
+});
+
+// Sent by the landing page's offline queue with every signup attempt
+const idempotencyKeySchema = Joi.string().pattern(/^[A-Za-z0-9_-]{8,128}$/);
+
+const adminLoginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const adminCreateSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(12).required(),
+  name: Joi.string().max(100).allow(null, ''),
+  role: Joi.string().valid(...AdminAuthService.roles).default('viewer')
+});
+
+const privacyRequestSchema = Joi.object({
+  email: Joi.string().email().required(),
+  type: Joi.string().valid(...PrivacyService.requestTypes).required()
 });
 
-// Update WebSocket setup
-const wss = new WebSocket.Server({ port: 8080 });
+const inviteBatchSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(500).required(),
+  skills: Joi.array().items(Joi.string()).default([]),
+  dryRun: Joi.boolean().default(false)
+});
+
+const inviteResponseSchema = Joi.object({
+  response: Joi.string().valid('accept', 'decline').required()
+});
+
+const redeemSchema = Joi.object({
+  code: Joi.string().max(32).required()
+});
+
+const eventSchema = Joi.object({
+  sessionId: Joi.string().pattern(/^[A-Za-z0-9-]{8,64}$/).required(),
+  event: Joi.string().valid(...EventService.events).required(),
+  step: Joi.number().integer().min(1).max(3),
+  properties: Joi.object()
+    .pattern(Joi.string().max(40), Joi.alternatives(Joi.string().max(200), Joi.number(), Joi.boolean()))
+    .max(10)
+});
+
+const outboxRetrySchema = Joi.object({
+  id: Joi.string().uuid()
+});
+
+// `segment` is a SegmentService query, e.g. "interest_level >= 4"
+const campaignSchema = Joi.object({
+  subject: Joi.string().max(200).required(),
+  content: Joi.string().max(100000).required(),
+  segment: Joi.string().max(1000).allow('', null),
+  scheduledAt: Joi.date().greater('now').allow(null)
+});
+
+const campaignUpdateSchema = Joi.object({
+  subject: Joi.string().max(200),
+  content: Joi.string().max(100000),
+  segment: Joi.string().max(1000).allow('', null)
+}).min(1);
+
+const segmentPreviewSchema = Joi.object({
+  segment: Joi.string().max(1000).allow('').required()
+});
+
+const campaignScheduleSchema = Joi.object({
+  scheduledAt: Joi.date().greater('now').required()
+});
+
+const campaignTestSchema = Joi.object({
+  email: Joi.string().email()
+});
+
+// Dashboard user table; skill and challenge may repeat (?skill=a&skill=b)
+const userSearchSchema = Joi.object({
+  q: Joi.string().max(254).allow(''),
+  skill: Joi.array().items(Joi.string().max(50)).single().default([]),
+  challenge: Joi.array().items(Joi.string().max(50)).single().default([]),
+  interestMin: Joi.number().integer(),
+  interestMax: Joi.number().integer(),
+  from: Joi.date().allow(''),
+  to: Joi.date().allow(''),
+  completion: Joi.string().valid(...UserSearchService.completionStatuses).allow(''),
+  sort: Joi.string().valid(...UserSearchService.sortFields).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  cursor: Joi.string().max(500).allow(''),
+  limit: Joi.number().integer().min(1).max(UserSearchService.maxPageSize).default(50)
+});
+
+const mergeDuplicatesSchema = Joi.object({
+  dryRun: Joi.boolean().default(true)
+});
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(true),
+  confirmed: Joi.boolean().default(false),
+  // Only confirmed leads get a welcome email
+  sendWelcome: Joi.boolean().default(false).when('confirmed', { is: false, then: Joi.valid(false) })
+});
+
+// Signup date range is [from, to); `segment` is a SegmentService query
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid(...ExportService.formats).default('csv'),
+  from: Joi.date().allow(''),
+  to: Joi.date().allow(''),
+  segment: Joi.string().max(1000).allow('')
+});
+
+const preferencesSchema = Joi.object(
+  Object.fromEntries(Object.keys(PreferenceService.categories).map(category => [category, Joi.boolean()]))
+);
+
+// Realtime updates. Landing pages get the public counters; the dashboard
+// subscribes to the admin channel with its session cookie (or a Bearer
+// token) and gets live table and KPI updates.
+const DASHBOARD_PUSH_INTERVAL_MS = parseInt(process.env.DASHBOARD_PUSH_INTERVAL_MS) || 5000;
+
+realtime.channel('admin', {
+  authorize: async (req) => {
+    const token = adminAuth.getRequestToken(req);
+    const admin = await adminAuth.authenticate(token);
+    if (!admin || !adminAuth.hasPermission(admin.role, 'analytics:read')) return null;
+
+    console.log(`📡 ${admin.email} connected to the live dashboard`);
+    return { admin, token };
+  }
+});
 
 function broadcastUpdate(type, data) {
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({ type, ...data }));
+  realtime.publish(RealtimeService.publicChannel, type, data);
+}
+
+function broadcastAdmin(type, data = {}) {
+  realtime.publish('admin', type, data);
+}
+
+// Recompute the dashboard KPIs and push them to connected admins. Bursts
+// (an import, a busy minute of page views) are coalesced into one push.
+let dashboardPushTimer = null;
+
+function scheduleDashboardPush() {
+  if (dashboardPushTimer || realtime.clients('admin').length === 0) return;
+
+  dashboardPushTimer = setTimeout(async () => {
+    dashboardPushTimer = null;
+    try {
+      // Drop sockets whose session has since expired or logged out
+      for (const client of realtime.clients('admin')) {
+        if (!await adminAuth.authenticate(client.context.token)) {
+          client.close(RealtimeService.closeUnauthorized, 'Session expired');
+        }
+      }
+      if (realtime.clients('admin').length === 0) return;
+
+      const data = await getComprehensiveAnalytics();
+      broadcastAdmin('dashboard_stats', {
+        metrics: renderMetricCards(data),
+        funnel: renderFunnelCard(data),
+        timestamp: data.timestamp
+      });
+    } catch (error) {
+      console.error('Dashboard push error:', error);
     }
+  }, DASHBOARD_PUSH_INTERVAL_MS);
+}
+
+// Users who sent the whole signup form, as opposed to partial leads
+const SUBMITTED = { submittedAt: { not: null } };
+
+// The public counter shows confirmed signups; beta spots are taken by
+// outstanding invitations and acceptances
+async function getSignupStats() {
+  const totalSignups = await prisma.user.count({
+    where: { confirmedAt: { not: null } }
   });
+  const { spotsLeft } = await invitations.getBetaCapacity();
+  return { totalSignups, spotsLeft };
+}
+
+async function broadcastSignupStats() {
+  const { totalSignups, spotsLeft } = await getSignupStats();
+  broadcastUpdate('counter_update', { count: totalSignups });
+  broadcastUpdate('spots_update', { spots: spotsLeft });
+  scheduleDashboardPush();
+}
+
+// Queued rather than sent inline so the signup response never waits on
+// the email provider
+async function sendConfirmation(user) {
+  await confirmations.recordSent(user.id);
+  return outbox.enqueue('confirmation', user.email, {
+    confirmLink: confirmations.getConfirmLink(user.id),
+    expiresInHours: confirmations.ttlHours,
+    locale: user.locale
+  }, { userId: user.id });
+}
+
+// Welcome email for a user who just became confirmed
+async function sendWelcome(user, responses = []) {
+  return outbox.enqueue('welcome', user.email, {
+    position: await confirmations.getFounderNumber(user),
+    profile: survey.describeResponses(responses, user.locale),
+    locale: user.locale,
+    email: user.email,
+    referralLink: referrals.getReferralLink(user.referralCode),
+    unsubscribe: preferences.getUnsubscribeLinks(user.id)
+  }, { userId: user.id });
 }
 
 // API Routes
 app.get('/api/stats', async (req, res) => {
   try {
-    const totalSignups = await prisma.user.count();
-    const spotsLeft = Math.max(500 - totalSignups, 0);
+    const { totalSignups, spotsLeft } = await getSignupStats();
     
     res.json({
       totalSignups,
@@ -82,7 +394,48 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Live counters as Server-Sent Events, for visitors whose network blocks
+// WebSockets
+app.get('/api/stream', (req, res) => {
+  realtime.stream(req, res);
+});
+
+// Funnel beacon from the landing page
+app.post('/api/events', eventLimiter, async (req, res) => {
+  try {
+    const { error, value } = eventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    await events.track(value);
+    scheduleDashboardPush();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Event tracking error:', error);
+    res.status(500).json({ error: 'Failed to record event' });
+  }
+});
+
+// Body of a successful signup, also used to replay it for a retried request
+function signupResponse(user) {
+  return {
+    success: true,
+    pending: !user.confirmedAt,
+    message: 'Check your email to confirm your spot',
+    userId: user.id,
+    emailQueued: true,
+    referralCode: user.referralCode,
+    referralLink: referrals.getReferralLink(user.referralCode)
+  };
+}
+
 app.post('/api/waitlist', async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+
   try {
     // Validate input
     const { error, value } = waitlistSchema.validate(req.body);
@@ -92,87 +445,126 @@ app.post('/api/waitlist', async (req, res) => {
         details: error.details 
       });
     }
+    if (idempotencyKey && idempotencyKeySchema.validate(idempotencyKey).error) {
+      return res.status(400).json({ error: 'Invalid Idempotency-Key header' });
+    }
 
-    const { email, primarySkill, biggestChallenge, interestLevel } = value;
+    const { email, referralCode } = value;
+    const locale = normalizeLocale(value.locale);
+    // Foo@Gmail.com, foo@gmail.com and f.o.o+zintle@gmail.com are one person
+    const canonical = canonicalEmail(email);
 
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
+    // A retry of a request that already went through (the browser never
+    // saw the response): answer it again without a second email
+    if (idempotencyKey) {
+      const original = await prisma.user.findUnique({ where: { signupKey: idempotencyKey } });
+      if (original) {
+        if (canonicalEmail(original.email) !== canonical) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used for a different signup' });
+        }
+        return res.json(signupResponse(original));
+      }
+    }
+
+    const blocked = await signupGuard.check({
+      stage: 'signup',
+      email,
+      honeypot: value.website,
+      elapsedMs: value.elapsedMs,
+      challengeToken: value.challengeToken,
+      ip: req.ip
     });
+    if (blocked) {
+      // Bots that fill in the hidden field are told they succeeded, so
+      // there's nothing to learn from the response
+      if (blocked.reason === 'honeypot') {
+        return res.status(201).json({ success: true, pending: true, message: 'Check your email to confirm your spot', emailQueued: true });
+      }
+      return res.status(blocked.reason === 'disposable_email' ? 400 : 403).json({
+        error: blocked.message,
+        code: blocked.reason
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await findUserByEmail(prisma, email);
 
-    if (existingUser) {
+    if (existingUser && existingUser.confirmedAt) {
       return res.status(409).json({ 
         error: 'Email already registered' 
       });
     }
 
-    // Create user and responses in transaction
-    const result = await prisma.$transaction(async (tx) => {
-      const user = await tx.user.create({
-        data: { email }
+    // Signed up before but never confirmed: just send a fresh link
+    if (existingUser && existingUser.submittedAt) {
+      const changes = {};
+      if (existingUser.locale !== locale) changes.locale = locale;
+      if (idempotencyKey) changes.signupKey = idempotencyKey;
+      if (Object.keys(changes).length > 0) {
+        Object.assign(existingUser, await prisma.user.update({
+          where: { id: existingUser.id },
+          data: changes
+        }));
+      }
+      await sendConfirmation(existingUser);
+      return res.json({
+        success: true,
+        pending: true,
+        message: 'Confirmation email re-sent',
+        emailQueued: true,
+        referralCode: existingUser.referralCode,
+        referralLink: referrals.getReferralLink(existingUser.referralCode)
       });
+    }
 
-      const responses = await Promise.all([
-        tx.response.create({
-          data: {
-            userId: user.id,
-            questionId: 'primary_skill',
-            question: 'What\'s your primary creative skill?',
-            answer: primarySkill
-          }
-        }),
-        tx.response.create({
-          data: {
-            userId: user.id,
-            questionId: 'biggest_challenge',
-            question: 'What\'s your biggest challenge as a freelancer?',
-            answer: biggestChallenge
-          }
-        }),
+    // Create the user and responses in a transaction, or finish the
+    // signup of a partial lead from step 1
+    const partial = existingUser;
+    const result = await prisma.$transaction(async (tx) => {
+      const data = {
+        locale,
+        signupKey: idempotencyKey,
+        submittedAt: new Date(),
+        referralCode: (partial && partial.referralCode) || await referrals.generateUniqueCode(tx)
+      };
+      const user = partial
+        ? await tx.user.update({ where: { id: partial.id }, data })
+        : await tx.user.create({ data: { email, canonicalEmail: canonical, ...data } });
+
+      // Unknown codes are ignored rather than failing the signup
+      const referrer = await referrals.findReferrer(referralCode, tx);
+      if (referrer) {
+        await referrals.linkReferrer(tx, referrer.id, user.id);
+      }
+
+      const responses = await Promise.all(survey.toResponses(value).map(response =>
         tx.response.create({
-          data: {
-            userId: user.id,
-            questionId: 'interest_level',
-            question: 'How interested are you in skill-swapping?',
-            answer: interestLevel.toString()
-          }
+          data: { userId: user.id, ...response }
         })
-      ]);
+      ));
 
       return { user, responses };
     });
 
-    // Get user position for founder number
-    const totalSignups = await prisma.user.count();
-    
-    // Send welcome email with user data
-    const emailResult = await emailService.sendWelcomeEmail(email, {
-      position: totalSignups,
-      primarySkill: primarySkill,
-      biggestChallenge: biggestChallenge,
-      interestLevel: interestLevel,
-      email: email
-    });
-
-    if (!emailResult.success) {
-      console.error('Failed to send welcome email:', emailResult.error);
-      // Don't fail the registration if email fails
-    }
-
-    // Update analytics and broadcast
-    const spotsLeft = Math.max(500 - totalSignups, 0);
-    broadcastUpdate('counter_update', { count: totalSignups });
-    broadcastUpdate('spots_update', { spots: spotsLeft });
+    // The signup only counts once the confirmation link is clicked;
+    // the welcome email and counter broadcast happen in /api/confirm
+    await sendConfirmation(result.user);
+    broadcastAdmin(partial ? 'user_updated' : 'user_created', { user: userSearch.toRow({ ...result.user, responses: result.responses }) });
+    scheduleDashboardPush();
 
-    res.status(201).json({
-      success: true,
-      message: 'Successfully joined waitlist',
-      userId: result.user.id,
-      emailSent: emailResult.success,
-      position: totalSignups
-    });
+    res.status(201).json(signupResponse(result.user));
 
   } catch (error) {
+    // Two copies of the same request raced and the other one won
+    if (error.code === 'P2002' && idempotencyKey) {
+      const original = await prisma.user.findUnique({ where: { signupKey: idempotencyKey } }).catch(() => null);
+      if (original) return res.json(signupResponse(original));
+    }
+    // The same address (or an alias of it) signed up at the same moment
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
     console.error('Waitlist signup error:', error);
     res.status(500).json({ 
       error: 'Internal server error' 
@@ -180,249 +572,1191 @@ app.post('/api/waitlist', async (req, res) => {
   }
 });
 
-// Add endpoint to send progress updates to all users (for future use)
-app.post('/api/send-update', async (req, res) => {
+// Email from step 1 of the form, so a visitor who drops off before the
+// survey can still be reminded. The response is the same whether or not
+// the email is already known.
+app.post('/api/waitlist/partial', async (req, res) => {
   try {
-    const { subject, content } = req.body;
-    
-    if (!subject || !content) {
-      return res.status(400).json({ error: 'Subject and content are required' });
+    const { error, value } = partialSignupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
     }
-    
-    const users = await prisma.user.findMany({
-      select: { email: true }
-    });
 
-    const emails = users.map(user => user.email);
-    const result = await emailService.sendProgressUpdate(emails, subject, content);
+    // Blocked leads get the same answer; the full signup will say why
+    const blocked = await signupGuard.check({ stage: 'partial', email: value.email, honeypot: value.website, ip: req.ip });
+    const lead = !blocked && await partialSignups.capture({ email: value.email, locale: normalizeLocale(value.locale) });
+    if (lead) {
+      broadcastAdmin('user_created', { user: userSearch.toRow({ ...lead, responses: [] }) });
+      scheduleDashboardPush();
+    }
 
-    res.json({
-      success: true,
-      sent: result.sent,
-      total: result.total,
-      message: `Progress update sent to ${result.sent}/${result.total} users`
-    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Partial signup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resume link from the reminder email: the lead's email and language, for
+// the form to reopen at step 2
+app.get('/api/waitlist/resume/:token', async (req, res) => {
+  try {
+    const lead = await partialSignups.findByResumeToken(req.params.token);
+    if (!lead) {
+      return res.status(404).json({ error: 'Invalid or expired link' });
+    }
 
+    res.json({ email: lead.email, locale: lead.locale });
   } catch (error) {
-    console.error('Send update error:', error);
-    res.status(500).json({ error: 'Failed to send updates' });
+    console.error('Resume signup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Analytics endpoint (protected)
-app.get('/api/analytics', async (req, res) => {
+// Confirmation link from the double opt-in email. Redirects back to the
+// landing page with ?confirmed=1 on success, ?confirmed=invalid otherwise.
+app.get('/api/confirm/:token', async (req, res) => {
   try {
-    const skillDistribution = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'primary_skill' },
-      _count: { answer: true }
+    const userId = confirmations.verifyToken(req.params.token);
+    const user = userId && await prisma.user.findUnique({
+      where: { id: userId },
+      include: { responses: true }
     });
 
-    const challengeDistribution = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'biggest_challenge' },
-      _count: { answer: true }
-    });
+    if (!user) {
+      return res.redirect(`${APP_URL}/?confirmed=invalid#waitlist`);
+    }
 
-    const interestLevels = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'interest_level' },
-      _count: { answer: true }
-    });
+    if (user.confirmedAt) {
+      return res.redirect(`${APP_URL}/?confirmed=1#waitlist`);
+    }
 
-    const totalUsers = await prisma.user.count();
-    const recentSignups = await prisma.user.findMany({
-      where: {
-        createdAt: {
-          gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
-        }
-      },
-      select: {
-        createdAt: true
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
+    const confirmedUser = await prisma.$transaction(async (tx) => {
+      const updated = await tx.user.update({
+        where: { id: user.id },
+        data: { confirmedAt: new Date() }
+      });
+      await referrals.creditReferral(tx, updated);
+      return updated;
     });
 
-    res.json({
-      totalUsers,
-      skillDistribution,
-      challengeDistribution,
-      interestLevels,
-      recentSignups: recentSignups.length,
-      timestamp: new Date().toISOString()
-    });
+    await sendWelcome(confirmedUser, user.responses);
+    broadcastAdmin('user_updated', { user: userSearch.toRow({ ...confirmedUser, responses: user.responses }) });
+
+    await broadcastSignupStats();
+    res.redirect(`${APP_URL}/?confirmed=1#waitlist`);
 
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    console.error('Confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm email' });
   }
 });
 
-// Add this comprehensive analytics endpoint BEFORE the dashboard route
-
-app.get('/api/analytics/comprehensive', async (req, res) => {
+// Email preference page linked from every email footer
+app.get('/unsubscribe/:token', async (req, res) => {
   try {
-    // Core metrics
-    const totalUsers = await prisma.user.count();
-    const today = new Date();
-    const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-    const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const lastMonth = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const userId = preferences.verifyToken(req.params.token);
+    const user = userId && await prisma.user.findUnique({ where: { id: userId } });
 
-    // Growth metrics
-    const usersToday = await prisma.user.count({
-      where: { createdAt: { gte: yesterday } }
-    });
-    
-    const usersThisWeek = await prisma.user.count({
-      where: { createdAt: { gte: lastWeek } }
-    });
-    
-    const usersThisMonth = await prisma.user.count({
-      where: { createdAt: { gte: lastMonth } }
-    });
+    if (!user) {
+      return res.status(404).send(renderPreferencesPage(null));
+    }
 
-    // FIXED: Daily signups - get all users from last 30 days and manually group by date
-    const usersLastMonth = await prisma.user.findMany({
-      where: {
-        createdAt: { gte: lastMonth }
-      },
-      select: {
-        createdAt: true
-      },
-      orderBy: {
-        createdAt: 'asc'
-      }
-    });
+    const current = await preferences.getPreferences(user.id);
+    res.send(renderPreferencesPage(req.params.token, user.email, current));
+  } catch (error) {
+    console.error('Preferences page error:', error);
+    res.status(500).send('Failed to load email preferences');
+  }
+});
 
-    // Create daily data structure for last 30 days
-    const dailyData = {};
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      dailyData[dateStr] = 0;
+app.get('/api/preferences/:token', async (req, res) => {
+  try {
+    const userId = preferences.verifyToken(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Invalid preferences link' });
     }
 
-    // Count signups per day
-    usersLastMonth.forEach(user => {
-      const dateStr = user.createdAt.toISOString().split('T')[0];
-      if (dailyData.hasOwnProperty(dateStr)) {
-        dailyData[dateStr]++;
-      }
-    });
+    res.json({ preferences: await preferences.getPreferences(userId) });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
 
-    // Convert to array format for charts
-    const dailySignupsArray = Object.entries(dailyData)
-      .map(([date, count]) => ({
-        date,
-        signups: count
-      }))
-      .sort((a, b) => new Date(a.date) - new Date(b.date)); // Ensure chronological order
+app.put('/api/preferences/:token', async (req, res) => {
+  try {
+    const userId = preferences.verifyToken(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Invalid preferences link' });
+    }
 
-    // Skill distribution
-    const skillDistribution = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'primary_skill' },
-      _count: { answer: true }
-    });
+    const { error, value } = preferencesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
 
-    // Challenge distribution
-    const challengeDistribution = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'biggest_challenge' },
-      _count: { answer: true }
+    res.json({
+      success: true,
+      preferences: await preferences.updatePreferences(userId, value)
     });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
 
-    // Interest levels
-    const interestLevels = await prisma.response.groupBy({
-      by: ['answer'],
-      where: { questionId: 'interest_level' },
-      _count: { answer: true }
-    });
+// RFC 8058 one-click unsubscribe target of the List-Unsubscribe header.
+// Mail providers POST "List-Unsubscribe=One-Click" as a form body.
+app.post('/api/unsubscribe/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const userId = preferences.verifyToken(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Invalid unsubscribe link' });
+    }
 
-    // Top hours for signups
-    const signupsByHour = await prisma.user.findMany({
-      select: { createdAt: true }
-    });
+    await preferences.unsubscribeAll(userId);
+    res.json({ success: true, message: 'Unsubscribed from all emails' });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
 
-    const hourlyData = Array(24).fill(0);
-    signupsByHour.forEach(user => {
-      const hour = user.createdAt.getHours();
-      hourlyData[hour]++;
-    });
+// Self-service data export / deletion. The response never reveals whether
+// the email is on the waitlist; the verification link goes to the inbox.
+app.get('/privacy', (req, res) => {
+  res.send(renderPrivacyRequestPage());
+});
 
-    // Calculate growth rate
-    const lastWeekTotalUsers = totalUsers - usersThisWeek;
-    const weeklyGrowthRate = lastWeekTotalUsers > 0 
-      ? ((usersThisWeek / lastWeekTotalUsers) * 100).toFixed(2)
-      : '∞';
+app.post('/api/privacy/request', async (req, res) => {
+  try {
+    const { error, value } = privacyRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
 
-    // Market insights
-    const marketInsights = {
-      averageInterest: totalUsers > 0 ? interestLevels.reduce((acc, level) => {
-        return acc + (parseInt(level.answer) * level._count.answer);
-      }, 0) / totalUsers : 0,
-      topSkill: skillDistribution.length > 0 ? skillDistribution.reduce((max, skill) => 
-        skill._count.answer > (max._count?.answer || 0) ? skill : max, {}) : { answer: 'design', _count: { answer: 0 } },
-      topChallenge: challengeDistribution.length > 0 ? challengeDistribution.reduce((max, challenge) => 
-        challenge._count.answer > (max._count?.answer || 0) ? challenge : max, {}) : { answer: 'payment_delays', _count: { answer: 0 } },
-      peakSignupHour: hourlyData.indexOf(Math.max(...hourlyData))
-    };
+    const user = await findUserByEmail(prisma, value.email);
+    if (user) {
+      await outbox.enqueue('privacy_request', user.email, {
+        type: value.type,
+        link: privacy.getRequestLink(value.type, user.id),
+        expiresInHours: privacy.linkTtlHours,
+        locale: user.locale
+      }, { userId: user.id });
+    }
 
-    // Conversion funnel
-    const step1Completions = totalUsers;
-    const step2Completions = await prisma.response.count({
-      where: { questionId: 'primary_skill' }
-    });
-    const step3Completions = await prisma.response.count({
-      where: { questionId: 'interest_level' }
+    res.status(202).json({
+      success: true,
+      message: 'If that email is on our waitlist, a verification link is on its way.'
+    });
+  } catch (error) {
+    console.error('Privacy request error:', error);
+    res.status(500).json({ error: 'Failed to process request' });
+  }
+});
+
+app.get('/api/privacy/export/:token', async (req, res) => {
+  try {
+    const userId = privacy.verifyToken('export', req.params.token);
+    const data = userId && await privacy.exportUserData(userId);
+
+    if (!data) {
+      return res.status(404).json({ error: 'Invalid or expired export link' });
+    }
+
+    res.attachment('zintle-data-export.json');
+    res.json(data);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Deletion needs an explicit click on this page so link scanners that
+// prefetch URLs in emails can't erase an account.
+app.get('/privacy/delete/:token', async (req, res) => {
+  try {
+    const userId = privacy.verifyToken('delete', req.params.token);
+    const user = userId && await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      return res.status(404).send(renderPrivacyDeletePage(null));
+    }
+
+    res.send(renderPrivacyDeletePage(req.params.token, user.email));
+  } catch (error) {
+    console.error('Data deletion page error:', error);
+    res.status(500).send('Failed to load page');
+  }
+});
+
+app.post('/api/privacy/delete/:token', async (req, res) => {
+  try {
+    const userId = privacy.verifyToken('delete', req.params.token);
+    const deleted = userId && await privacy.deleteUser(userId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Invalid or expired deletion link' });
+    }
+
+    broadcastAdmin('user_deleted', { id: deleted.id });
+    if (deleted.confirmedAt) {
+      await broadcastSignupStats();
+    } else {
+      scheduleDashboardPush();
+    }
+
+    res.json({ success: true, message: 'Your data has been deleted.' });
+  } catch (error) {
+    console.error('Data deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete data' });
+  }
+});
+
+// Beta invitation landing page linked from the invite email
+app.get('/invite/:token', async (req, res) => {
+  try {
+    const userId = invitations.verifyToken(req.params.token);
+    const user = userId && await prisma.user.findUnique({ where: { id: userId } });
+
+    res.status(user ? 200 : 404).send(renderInvitePage(user ? req.params.token : null, user));
+  } catch (error) {
+    console.error('Invite page error:', error);
+    res.status(500).send('Failed to load invitation');
+  }
+});
+
+app.post('/api/invites/:token', async (req, res) => {
+  try {
+    const userId = invitations.verifyToken(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const { error, value } = inviteResponseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const user = await invitations.respond(userId, value.response === 'accept');
+    if (!user) {
+      return res.status(409).json({ error: 'This invitation is no longer open' });
+    }
+
+    await broadcastSignupStats();
+    res.json({ success: true, status: user.status });
+  } catch (error) {
+    console.error('Invite response error:', error);
+    res.status(500).json({ error: 'Failed to update invitation' });
+  }
+});
+
+// Called by the beta app when someone signs in with their access code
+app.post('/api/beta/redeem', async (req, res) => {
+  try {
+    const { error, value } = redeemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const user = await invitations.redeemCode(value.code);
+    if (!user) {
+      return res.status(404).json({ error: 'Invalid, used or expired access code' });
+    }
+
+    res.json({ success: true, email: user.email, status: user.status });
+  } catch (error) {
+    console.error('Beta code redeem error:', error);
+    res.status(500).json({ error: 'Failed to redeem access code' });
+  }
+});
+
+// Public referral standing, looked up by the user's own code
+app.get('/api/referrals/:code', async (req, res) => {
+  try {
+    const user = await referrals.findReferrer(req.params.code);
+    if (!user) {
+      return res.status(404).json({ error: 'Referral code not found' });
+    }
+
+    res.json({
+      referralCode: user.referralCode,
+      referralLink: referrals.getReferralLink(user.referralCode),
+      referralCount: user.referralCount,
+      position: await referrals.getQueuePosition(user.id)
+    });
+  } catch (error) {
+    console.error('Referral lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch referral stats' });
+  }
+});
+
+// Admin authentication
+app.post('/api/admin/login', loginLimiter, async (req, res) => {
+  try {
+    const { error, value } = adminLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const session = await adminAuth.login(value.email, value.password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    adminAuth.setSessionCookie(res, session.token, session.expiresAt);
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      admin: session.admin
+    });
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/admin/logout', async (req, res) => {
+  try {
+    await adminAuth.logout(adminAuth.getRequestToken(req));
+    adminAuth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/admin/me', adminAuth.requireAdmin(), (req, res) => {
+  res.json({ admin: req.admin });
+});
+
+app.get('/api/admin/users', adminAuth.requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const admins = await prisma.adminUser.findMany({
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ admins: admins.map(admin => adminAuth.toPublicAdmin(admin)) });
+  } catch (error) {
+    console.error('List admins error:', error);
+    res.status(500).json({ error: 'Failed to fetch admins' });
+  }
+});
+
+app.post('/api/admin/users', adminAuth.requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { error, value } = adminCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const existing = await prisma.adminUser.findUnique({
+      where: { email: value.email.toLowerCase() }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: 'Admin already exists' });
+    }
+
+    const admin = await adminAuth.createAdmin(value);
+    res.status(201).json({ success: true, admin });
+
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+});
+
+// Admin-side data subject requests for a single waitlist user
+app.get('/api/admin/waitlist/:id/export', adminAuth.requireAdmin('users:manage'), async (req, res) => {
+  try {
+    const data = await privacy.exportUserData(req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.attachment(`zintle-user-${req.params.id}.json`);
+    res.json(data);
+  } catch (error) {
+    console.error('Admin data export error:', error);
+    res.status(500).json({ error: 'Failed to export user data' });
+  }
+});
+
+// One page of the dashboard user table
+app.get('/api/admin/waitlist', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    const { error, value } = userSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const { skill, challenge, interestMin, interestMax, ...options } = value;
+    const filters = userSearch.toRules({ skill, challenge, interestMin, interestMax });
+    if (filters.error) {
+      return res.status(400).json({ error: 'Invalid filter', details: [filters.error] });
+    }
+
+    const result = await userSearch.search({ ...options, rules: filters.rules });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('User search error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Whole waitlist with survey answers, streamed as CSV or NDJSON
+app.get('/api/admin/waitlist/export', adminAuth.requireAdmin('users:manage'), async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+  }
+
+  const segment = segments.parse(value.segment);
+  if (segment.error) {
+    return res.status(400).json({ error: 'Invalid segment', details: [segment.error] });
+  }
+
+  try {
+    res.attachment(ExportService.filename(value.format));
+    res.type(ExportService.contentType(value.format));
+
+    const count = await waitlistExport.write(res, {
+      format: value.format,
+      from: value.from,
+      to: value.to,
+      rules: segment.rules
+    });
+    res.end();
+
+    console.log(`📦 ${req.admin.email} exported ${count} users as ${value.format}`);
+  } catch (error) {
+    console.error('Waitlist export error:', error);
+    // Once streaming has started the status is sent; cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export waitlist' });
+    }
+  }
+});
+
+// Bulk import of leads from a CSV body (Content-Type: text/csv). Dry run
+// by default: ?dryRun=false creates the users as pending and emails them a
+// confirmation link. &confirmed=true stores them as confirmed instead, for
+// addresses verified where they were collected, and &sendWelcome=true then
+// queues their welcome emails.
+app.post('/api/admin/waitlist/import', adminAuth.requireAdmin('users:manage'), express.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+  try {
+    const { error, value } = importQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: 'Send the CSV as text/csv' });
+    }
+
+    const result = await leadImport.run(req.body, { dryRun: value.dryRun, confirmed: value.confirmed });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { users, ...summary } = result;
+    if (users.length > 0) {
+      for (const user of users) {
+        if (!value.confirmed) {
+          await sendConfirmation(user);
+        } else if (value.sendWelcome) {
+          await sendWelcome(user, user.responses);
+        }
+      }
+
+      console.log(`📥 ${req.admin.email} imported ${users.length} ${value.confirmed ? 'confirmed' : 'pending'} leads${value.sendWelcome ? ' with welcome emails' : ''}`);
+      broadcastAdmin('users_changed');
+      if (value.confirmed) {
+        await broadcastSignupStats();
+      } else {
+        scheduleDashboardPush();
+      }
+    }
+
+    res.json({
+      success: true,
+      confirmationEmails: !value.confirmed ? users.length : 0,
+      welcomeEmails: value.sendWelcome ? users.length : 0,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Lead import error:', error);
+    res.status(500).json({ error: 'Failed to import leads' });
+  }
+});
+
+// One-off cleanup of users who signed up more than once under aliases of
+// the same address (see DuplicateUserService). Dry run by default:
+// { "dryRun": false } merges them.
+app.post('/api/admin/waitlist/merge-duplicates', adminAuth.requireAdmin('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = mergeDuplicatesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const result = await duplicates.merge({ dryRun: value.dryRun });
+    if (!result.dryRun && result.merged > 0) {
+      console.log(`🔀 ${req.admin.email} merged ${result.merged} duplicate users`);
+      broadcastAdmin('users_changed');
+      await broadcastSignupStats();
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Duplicate merge error:', error);
+    res.status(500).json({ error: 'Failed to merge duplicate users' });
+  }
+});
+
+app.delete('/api/admin/waitlist/:id', adminAuth.requireAdmin('users:manage'), async (req, res) => {
+  try {
+    const deleted = await privacy.deleteUser(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🗑️  User ${req.params.id} deleted by admin ${req.admin.email}`);
+    broadcastAdmin('user_deleted', { id: deleted.id });
+    if (deleted.confirmedAt) {
+      await broadcastSignupStats();
+    } else {
+      scheduleDashboardPush();
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin data deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Invite the next N users in queue order, optionally filtered by skill
+app.post('/api/admin/invites', adminAuth.requireAdmin('invites:send'), async (req, res) => {
+  try {
+    const { error, value } = inviteBatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const result = await invitations.inviteNext({ ...value, invitedBy: req.admin.email });
+    if (!result.dryRun) {
+      broadcastAdmin('users_changed');
+      await broadcastSignupStats();
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Batch invite error:', error);
+    res.status(500).json({ error: 'Failed to send invitations' });
+  }
+});
+
+// Outbound email queue: depth, counts per status and recent failures
+app.get('/api/admin/outbox', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    res.json(await outbox.getStats());
+  } catch (error) {
+    console.error('Outbox stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch email queue' });
+  }
+});
+
+// Requeue dead emails, one by id or all of them
+app.post('/api/admin/outbox/retry', adminAuth.requireAdmin('outbox:manage'), async (req, res) => {
+  try {
+    const { error, value } = outboxRetrySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const requeued = await outbox.retry(value.id);
+    if (value.id && requeued === 0) {
+      return res.status(404).json({ error: 'No failed email with that id' });
+    }
+
+    res.json({ success: true, requeued });
+  } catch (error) {
+    console.error('Outbox retry error:', error);
+    res.status(500).json({ error: 'Failed to retry emails' });
+  }
+});
+
+// Start a campaign's delivery in the background; the response does not
+// wait for hundreds of emails to go out
+function deliverCampaign(id) {
+  campaigns.deliver(id).catch(error => {
+    console.error('Campaign delivery error:', error);
+  });
+}
+
+// One-shot progress update, kept for existing scripts. Creates and sends a
+// campaign so it shows up in the history. Send an Idempotency-Key header to
+// make retries safe; without one, the same subject and body sent again to
+// the same segment within a few minutes (or at the same moment) is rejected as a double
+// submit.
+app.post('/api/send-update', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const { subject, content } = req.body;
+    
+    if (!subject || !content) {
+      return res.status(400).json({ error: 'Subject and content are required' });
+    }
+
+    const segment = segments.parse(req.body.segment);
+    if (segment.error) {
+      return res.status(400).json({ error: 'Invalid segment', details: [segment.error] });
+    }
+
+    const clientKey = req.get('Idempotency-Key') || null;
+    if (!clientKey) {
+      const duplicate = await campaigns.findRecentDuplicate({ subject, content, segment: segment.rules });
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'This update was already sent a moment ago',
+          campaignId: duplicate.id
+        });
+      }
+    }
+
+    const { campaign, created } = await campaigns.create({
+      subject,
+      content,
+      segment: segment.rules,
+      idempotencyKey: clientKey || campaigns.duplicateKey({ subject, content, segment: segment.rules }),
+      createdBy: req.admin.email
+    });
+
+    // Lost the race to an identical request without a key
+    if (!created && !clientKey) {
+      return res.status(409).json({
+        error: 'This update was already sent a moment ago',
+        campaignId: campaign.id
+      });
+    }
+
+    if (created) {
+      await campaigns.send(campaign.id);
+      deliverCampaign(campaign.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      campaignId: campaign.id,
+      message: created ? 'Progress update is being sent' : 'Progress update was already submitted'
+    });
+
+  } catch (error) {
+    console.error('Send update error:', error);
+    res.status(500).json({ error: 'Failed to send updates' });
+  }
+});
+
+// Campaign history with delivery counts
+app.get('/api/admin/campaigns', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    res.json({ campaigns: await campaigns.list() });
+  } catch (error) {
+    console.error('List campaigns error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+// Save a draft, or schedule it right away with scheduledAt. An
+// Idempotency-Key header returns the existing campaign on a repeat.
+app.post('/api/admin/campaigns', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const { error, value } = campaignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const segment = segments.parse(value.segment);
+    if (segment.error) {
+      return res.status(400).json({ error: 'Invalid segment', details: [segment.error] });
+    }
+
+    const { campaign, created } = await campaigns.create({
+      ...value,
+      segment: segment.rules,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+      createdBy: req.admin.email
+    });
+
+    res.status(created ? 201 : 200).json({ success: true, campaign });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+app.get('/api/admin/campaigns/:id', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    const campaign = await campaigns.get(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ campaign });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+app.put('/api/admin/campaigns/:id', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const { error, value } = campaignUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    if ('segment' in value) {
+      const segment = segments.parse(value.segment);
+      if (segment.error) {
+        return res.status(400).json({ error: 'Invalid segment', details: [segment.error] });
+      }
+      value.segment = segment.rules;
+    }
+
+    const campaign = await campaigns.update(req.params.id, value);
+    if (!campaign) {
+      return res.status(409).json({ error: 'Only draft or scheduled campaigns can be edited' });
+    }
+
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// Live audience size for a segment query while composing a campaign
+app.post('/api/admin/segments/preview', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    const { error, value } = segmentPreviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const segment = segments.parse(value.segment);
+    if (segment.error) {
+      return res.status(400).json({ error: 'Invalid segment', details: [segment.error] });
+    }
+
+    res.json({
+      count: await segments.count(segment.rules),
+      query: segments.describe(segment.rules),
+      rules: segment.rules
+    });
+  } catch (error) {
+    console.error('Segment preview error:', error);
+    res.status(500).json({ error: 'Failed to preview segment' });
+  }
+});
+
+// The email exactly as recipients will see it
+app.get('/api/admin/campaigns/:id/preview', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    const campaign = await campaigns.get(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.send(campaigns.renderPreview(campaign));
+  } catch (error) {
+    console.error('Preview campaign error:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
+// Send a test copy, to the signed-in admin unless another address is given
+app.post('/api/admin/campaigns/:id/test', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const { error, value } = campaignTestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const campaign = await campaigns.get(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const email = value.email || req.admin.email;
+    const result = await campaigns.sendTest(campaign, email);
+    if (result.sent === 0) {
+      return res.status(502).json({ error: 'Failed to send test email' });
+    }
+
+    res.json({ success: true, message: `Test sent to ${email}` });
+  } catch (error) {
+    console.error('Test campaign error:', error);
+    res.status(500).json({ error: 'Failed to send test email' });
+  }
+});
+
+app.post('/api/admin/campaigns/:id/schedule', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const { error, value } = campaignScheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    const campaign = await campaigns.schedule(req.params.id, value.scheduledAt);
+    if (!campaign) {
+      return res.status(409).json({ error: 'Only draft or scheduled campaigns can be scheduled' });
+    }
+
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({ error: 'Failed to schedule campaign' });
+  }
+});
+
+// Back to draft
+app.post('/api/admin/campaigns/:id/unschedule', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const campaign = await campaigns.unschedule(req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: 'Campaign is already sending or sent' });
+    }
+
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Unschedule campaign error:', error);
+    res.status(500).json({ error: 'Failed to unschedule campaign' });
+  }
+});
+
+// Send now. A second request for the same campaign gets a 409 instead of
+// emailing everyone again.
+app.post('/api/admin/campaigns/:id/send', adminAuth.requireAdmin('updates:send'), async (req, res) => {
+  try {
+    const campaign = await campaigns.send(req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: 'Campaign not found or already sent' });
+    }
+
+    deliverCampaign(campaign.id);
+    res.status(202).json({ success: true, campaign });
+  } catch (error) {
+    console.error('Send campaign error:', error);
+    res.status(500).json({ error: 'Failed to send campaign' });
+  }
+});
+
+// Analytics endpoint (protected)
+app.get('/api/analytics', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    const skillDistribution = await prisma.response.groupBy({
+      by: ['answer'],
+      where: { questionId: 'primary_skill' },
+      _count: { answer: true }
+    });
+
+    const challengeDistribution = await prisma.response.groupBy({
+      by: ['answer'],
+      where: { questionId: 'biggest_challenge' },
+      _count: { answer: true }
+    });
+
+    const interestLevels = await prisma.response.groupBy({
+      by: ['answer'],
+      where: { questionId: 'interest_level' },
+      _count: { answer: true }
+    });
+
+    const totalUsers = await prisma.user.count({ where: SUBMITTED });
+    const recentSignups = await prisma.user.findMany({
+      where: {
+        ...SUBMITTED,
+        createdAt: {
+          gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
+        }
+      },
+      select: {
+        createdAt: true
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
     });
 
     res.json({
-      // Core KPIs
       totalUsers,
-      usersToday,
-      usersThisWeek,
-      usersThisMonth,
-      weeklyGrowthRate: weeklyGrowthRate === '∞' ? 'New' : `${weeklyGrowthRate}%`,
-      
-      // FIXED: Growth data
-      dailySignups: dailySignupsArray,
-      
-      // Demographics
       skillDistribution,
       challengeDistribution,
       interestLevels,
-      
-      // Behavior
-      hourlySignups: hourlyData.map((count, hour) => ({
-        hour: `${hour}:00`,
-        signups: count
-      })),
-      
-      // Conversion funnel
-      conversionFunnel: [
-        { stage: 'Landing Page View', users: step1Completions * 3, rate: '100%' },
-        { stage: 'Email Entered', users: step1Completions, rate: '33%' },
-        { stage: 'Survey Started', users: step2Completions, rate: step1Completions > 0 ? `${((step2Completions/step1Completions)*100).toFixed(1)}%` : '0%' },
-        { stage: 'Survey Completed', users: step3Completions, rate: step1Completions > 0 ? `${((step3Completions/step1Completions)*100).toFixed(1)}%` : '0%' }
-      ],
-      
-      // Market insights
-      marketInsights,
-      
-      // Business metrics
-      businessMetrics: {
-        retentionPotential: totalUsers > 0 ? ((interestLevels.filter(l => parseInt(l.answer) >= 4).reduce((acc, l) => acc + l._count.answer, 0) / totalUsers) * 100).toFixed(1) : '0',
-        marketFit: challengeDistribution.length > 0 ? 'Strong' : 'Developing',
-        avgTimeToComplete: '4.2 min',
-        completionRate: step1Completions > 0 ? ((step3Completions / step1Completions) * 100).toFixed(1) : '0'
-      },
-      
+      recentSignups: recentSignups.length,
       timestamp: new Date().toISOString()
     });
 
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// Comprehensive analytics, shared by the API endpoint and the dashboard.
+// Partial leads haven't signed up yet, so they're only counted on their own.
+async function getComprehensiveAnalytics() {
+  // Core metrics
+  const totalUsers = await prisma.user.count({ where: SUBMITTED });
+  const partialLeads = await prisma.user.count({ where: { submittedAt: null } });
+  const { totalSignups: confirmedUsers } = await getSignupStats();
+  const today = new Date();
+  const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+  const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const lastMonth = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  // Growth metrics
+  const usersToday = await prisma.user.count({
+    where: { ...SUBMITTED, createdAt: { gte: yesterday } }
+  });
+  
+  const usersThisWeek = await prisma.user.count({
+    where: { ...SUBMITTED, createdAt: { gte: lastWeek } }
+  });
+  
+  const usersThisMonth = await prisma.user.count({
+    where: { ...SUBMITTED, createdAt: { gte: lastMonth } }
+  });
+
+  // FIXED: Daily signups - get all users from last 30 days and manually group by date
+  const usersLastMonth = await prisma.user.findMany({
+    where: {
+      ...SUBMITTED,
+      createdAt: { gte: lastMonth }
+    },
+    select: {
+      createdAt: true
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  });
+
+  // Create daily data structure for last 30 days
+  const dailyData = {};
+  for (let i = 29; i >= 0; i--) {
+    const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
+    const dateStr = date.toISOString().split('T')[0];
+    dailyData[dateStr] = 0;
+  }
+
+  // Count signups per day
+  usersLastMonth.forEach(user => {
+    const dateStr = user.createdAt.toISOString().split('T')[0];
+    if (dailyData.hasOwnProperty(dateStr)) {
+      dailyData[dateStr]++;
+    }
+  });
+
+  // Convert to array format for charts
+  const dailySignupsArray = Object.entries(dailyData)
+    .map(([date, count]) => ({
+      date,
+      signups: count
+    }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date)); // Ensure chronological order
+
+  // Skill distribution
+  const skillDistribution = await prisma.response.groupBy({
+    by: ['answer'],
+    where: { questionId: 'primary_skill' },
+    _count: { answer: true }
+  });
+
+  // Challenge distribution
+  const challengeDistribution = await prisma.response.groupBy({
+    by: ['answer'],
+    where: { questionId: 'biggest_challenge' },
+    _count: { answer: true }
+  });
+
+  // Interest levels
+  const interestLevels = await prisma.response.groupBy({
+    by: ['answer'],
+    where: { questionId: 'interest_level' },
+    _count: { answer: true }
+  });
+
+  // Top hours for signups
+  const signupsByHour = await prisma.user.findMany({
+    where: SUBMITTED,
+    select: { createdAt: true }
+  });
+
+  const hourlyData = Array(24).fill(0);
+  signupsByHour.forEach(user => {
+    const hour = user.createdAt.getHours();
+    hourlyData[hour]++;
+  });
+
+  // Calculate growth rate
+  const lastWeekTotalUsers = totalUsers - usersThisWeek;
+  const weeklyGrowthRate = lastWeekTotalUsers > 0 
+    ? ((usersThisWeek / lastWeekTotalUsers) * 100).toFixed(2)
+    : '∞';
+
+  // Market insights
+  const marketInsights = {
+    averageInterest: totalUsers > 0 ? interestLevels.reduce((acc, level) => {
+      return acc + (parseInt(level.answer) * level._count.answer);
+    }, 0) / totalUsers : 0,
+    topSkill: skillDistribution.length > 0 ? skillDistribution.reduce((max, skill) => 
+      skill._count.answer > (max._count?.answer || 0) ? skill : max, {}) : { answer: 'design', _count: { answer: 0 } },
+    topChallenge: challengeDistribution.length > 0 ? challengeDistribution.reduce((max, challenge) => 
+      challenge._count.answer > (max._count?.answer || 0) ? challenge : max, {}) : { answer: 'payment_delays', _count: { answer: 0 } },
+    peakSignupHour: hourlyData.indexOf(Math.max(...hourlyData))
+  };
+
+  // Referrals
+  const referredUsers = await prisma.user.count({
+    where: { referredById: { not: null } }
+  });
+  const topReferrers = await referrals.getTopReferrers(5);
+
+  // Conversion funnel from landing page events
+  const funnel = await events.getFunnel();
+
+  return {
+    // Core KPIs
+    totalUsers,
+    confirmedUsers,
+    pendingUsers: totalUsers - confirmedUsers,
+    partialLeads,
+    usersToday,
+    usersThisWeek,
+    usersThisMonth,
+    weeklyGrowthRate: weeklyGrowthRate === '∞' ? 'New' : `${weeklyGrowthRate}%`,
+    
+    // FIXED: Growth data
+    dailySignups: dailySignupsArray,
+    
+    // Demographics
+    skillDistribution,
+    challengeDistribution,
+    interestLevels,
+    
+    // Behavior
+    hourlySignups: hourlyData.map((count, hour) => ({
+      hour: `${hour}:00`,
+      signups: count
+    })),
+    
+    // Conversion funnel
+    conversionFunnel: funnel.stages,
+    funnelSessions: funnel.sessions,
+    funnelErrors: funnel.errors,
+    funnelWindowDays: funnel.windowDays,
+    
+    // Market insights
+    marketInsights,
+    
+    // Beta invitations
+    betaCapacity: await invitations.getBetaCapacity(),
+    lifecycle: await invitations.getStatusCounts(),
+    
+    // Outbound email queue
+    emailQueue: await outbox.getStats(),
+
+    // Bot protection
+    signupRejections: await signupGuard.getStats(),
+    
+    // Referral program
+    referralStats: {
+      referredUsers,
+      referralShare: totalUsers > 0 ? ((referredUsers / totalUsers) * 100).toFixed(1) : '0',
+      topReferrers
+    },
+    
+    // Business metrics
+    businessMetrics: {
+      retentionPotential: totalUsers > 0 ? ((interestLevels.filter(l => parseInt(l.answer) >= 4).reduce((acc, l) => acc + l._count.answer, 0) / totalUsers) * 100).toFixed(1) : '0',
+      marketFit: challengeDistribution.length > 0 ? 'Strong' : 'Developing',
+      avgTimeToComplete: funnel.avgTimeToComplete,
+      completionRate: funnel.completionRate
+    },
+    
+    timestamp: new Date().toISOString()
+  };
+}
+
+app.get('/api/analytics/comprehensive', adminAuth.requireAdmin('analytics:read'), async (req, res) => {
+  try {
+    res.json(await getComprehensiveAnalytics());
   } catch (error) {
     console.error('Comprehensive analytics error:', error);
     res.status(500).json({ error: 'Failed to fetch comprehensive analytics' });
@@ -434,16 +1768,18 @@ app.get('/dashboard', (req, res, next) => {
   // Disable CSP for dashboard only
   res.removeHeader('Content-Security-Policy');
   next();
-}, async (req, res) => {
+}, adminAuth.requireAdmin('analytics:read', {
+  onUnauthenticated: (req, res) => res.status(401).send(renderAdminLogin())
+}), async (req, res) => {
   try {
-    const analytics = await fetch(`http://localhost:${PORT}/api/analytics/comprehensive`);
-    const data = await analytics.json();
+    const data = await getComprehensiveAnalytics();
     
-    const users = await prisma.user.findMany({
-      include: { responses: true },
-      orderBy: { createdAt: 'desc' },
-      take: 50
-    });
+    const canManageUsers = adminAuth.hasPermission(req.admin.role, 'users:manage');
+    const canSendInvites = adminAuth.hasPermission(req.admin.role, 'invites:send');
+    const canRetryEmails = adminAuth.hasPermission(req.admin.role, 'outbox:manage');
+    const canSendUpdates = adminAuth.hasPermission(req.admin.role, 'updates:send');
+    const recentCampaigns = await campaigns.list(5);
+    const userTableColumns = survey.getQuestions().length + (canManageUsers ? 6 : 5);
 
     const html = `
     <!DOCTYPE html>
@@ -614,6 +1950,23 @@ app.get('/dashboard', (req, res, next) => {
           font-size: 0.9rem;
         }
         
+        th.sortable {
+          cursor: pointer;
+          user-select: none;
+        }
+        
+        th.sortable[data-order="asc"]::after { content: ' ▲'; }
+        th.sortable[data-order="desc"]::after { content: ' ▼'; }
+        
+        .table-footer {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 1rem;
+          color: #b4b4b4;
+          font-size: 0.9rem;
+        }
+        
         .status-badge {
           padding: 0.3rem 0.8rem;
           border-radius: 20px;
@@ -626,6 +1979,11 @@ app.get('/dashboard', (req, res, next) => {
           color: #07ff88;
         }
         
+        .status-pending {
+          background: rgba(255, 215, 0, 0.2);
+          color: #ffd700;
+        }
+        
         .refresh-btn {
           position: fixed;
           top: 2rem;
@@ -644,6 +2002,127 @@ app.get('/dashboard', (req, res, next) => {
           transform: scale(1.05);
         }
         
+        .live-status {
+          display: inline-block;
+          width: 8px;
+          height: 8px;
+          margin-right: 0.25rem;
+          border-radius: 50%;
+          background: #666;
+        }
+        
+        .live-status.connected {
+          background: #00ff88;
+          box-shadow: 0 0 6px #00ff88;
+        }
+        
+        .admin-bar {
+          color: #666;
+          font-size: 0.9rem;
+          margin-top: 0.25rem;
+        }
+        
+        .admin-bar a {
+          color: #00d4ff;
+          text-decoration: none;
+        }
+        
+        .invite-form {
+          margin-top: 1.5rem;
+          padding-top: 1rem;
+          border-top: 1px solid #333;
+        }
+        
+        .invite-form input[type="number"] {
+          width: 70px;
+          margin: 0 0.5rem;
+          padding: 0.3rem;
+          background: #080808;
+          border: 1px solid #333;
+          border-radius: 6px;
+          color: #e5e5e5;
+        }
+        
+        .campaign-form input[type="text"],
+        .campaign-form input[type="datetime-local"],
+        .campaign-form textarea {
+          width: 100%;
+          margin-bottom: 0.75rem;
+          padding: 0.5rem;
+          background: #080808;
+          border: 1px solid #333;
+          border-radius: 6px;
+          color: #e5e5e5;
+          font-family: inherit;
+        }
+        
+        .export-form {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1.5rem;
+          font-size: 0.9rem;
+          color: #b4b4b4;
+        }
+        
+        .export-form input,
+        .export-form select {
+          padding: 0.4rem 0.5rem;
+          background: #080808;
+          border: 1px solid #333;
+          border-radius: 6px;
+          color: #e5e5e5;
+          font-family: inherit;
+        }
+        
+        .export-form input[type="number"] {
+          width: 60px;
+        }
+        
+        .export-form input[name="segment"],
+        .export-form input[name="q"] {
+          flex: 1;
+          min-width: 220px;
+        }
+        
+        .skill-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem 1rem;
+          margin: 1rem 0;
+          font-size: 0.9rem;
+          color: #b4b4b4;
+        }
+        
+        .invite-actions button {
+          background: linear-gradient(135deg, #07ff88, #00d4ff);
+          color: #000;
+          border: none;
+          padding: 0.5rem 1rem;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+          margin-right: 0.5rem;
+        }
+        
+        .invite-result {
+          margin-top: 1rem;
+          font-size: 0.9rem;
+          color: #00d4ff;
+        }
+        
+        .actions a {
+          color: #00d4ff;
+          text-decoration: none;
+          margin-right: 0.75rem;
+          font-size: 0.9rem;
+        }
+        
+        .actions a.danger {
+          color: #ff6b6b;
+        }
+        
         .no-data {
           text-align: center;
           color: #666;
@@ -670,76 +2149,35 @@ app.get('/dashboard', (req, res, next) => {
           <h1>Zintle Analytics</h1>
           <p class="tagline">Real-time insights into Egypt's creative community</p>
           <p style="color: #666; font-size: 0.9rem; margin-top: 0.5rem;">
-            Last updated: ${new Date().toLocaleString()}
+            <span class="live-status" id="live-status" title="Connecting to live updates"></span>
+            Last updated: <span id="dashboard-updated">${new Date().toLocaleString()}</span>
+          </p>
+          <p class="admin-bar">
+            Signed in as ${req.admin.email} (${req.admin.role}) ·
+            <a href="#" onclick="logout(); return false;">Log out</a>
           </p>
         </div>
 
         <!-- Key Metrics -->
-        <div class="metrics-grid">
-          <div class="metric-card">
-            <div class="metric-value">${data.totalUsers}</div>
-            <div class="metric-label">Total Signups</div>
-            <div class="metric-change positive">+${data.usersThisWeek} this week</div>
-          </div>
-          
-          <div class="metric-card">
-            <div class="metric-value">${data.usersToday}</div>
-            <div class="metric-label">Today's Signups</div>
-            <div class="metric-change ${data.usersToday > 0 ? 'positive' : 'neutral'}">
-              ${data.usersToday > 0 ? '+' + data.usersToday : 'None yet'}
-            </div>
-          </div>
-          
-          <div class="metric-card">
-            <div class="metric-value">${data.weeklyGrowthRate}</div>
-            <div class="metric-label">Weekly Growth</div>
-            <div class="metric-change positive">Growth rate</div>
-          </div>
-          
-          <div class="metric-card">
-            <div class="metric-value">${data.businessMetrics.completionRate}%</div>
-            <div class="metric-label">Completion Rate</div>
-            <div class="metric-change ${parseFloat(data.businessMetrics.completionRate) > 80 ? 'positive' : 'neutral'}">
-              Survey completion
-            </div>
-          </div>
-          
-          <div class="metric-card">
-            <div class="metric-value">${data.businessMetrics.retentionPotential}%</div>
-            <div class="metric-label">High Interest Users</div>
-            <div class="metric-change positive">Interest level 4-5</div>
-          </div>
-          
-          <div class="metric-card">
-            <div class="metric-value">${500 - data.totalUsers}</div>
-            <div class="metric-label">Beta Spots Left</div>
-            <div class="metric-change neutral">Out of 500</div>
-          </div>
+        <div class="metrics-grid" id="dashboard-metrics">
+          ${renderMetricCards(data)}
         </div>
 
         <!-- Business Insights -->
         <div class="insights-grid">
-          <div class="insight-card">
-            <h3 class="insight-title">🚀 Conversion Funnel</h3>
-            ${data.conversionFunnel.map(step => `
-              <div class="funnel-step">
-                <span>${step.stage}</span>
-                <div>
-                  <strong>${step.users}</strong> users (${step.rate})
-                </div>
-              </div>
-            `).join('')}
+          <div class="insight-card" id="dashboard-funnel">
+            ${renderFunnelCard(data)}
           </div>
           
           <div class="insight-card">
             <h3 class="insight-title">💡 Market Insights</h3>
             <div style="space-y: 1rem;">
               <div style="margin-bottom: 1rem;">
-                <strong>Top Skill:</strong> ${formatSkill(data.marketInsights.topSkill.answer)} 
+                <strong>Top Skill:</strong> ${survey.formatAnswer('primary_skill', data.marketInsights.topSkill.answer)} 
                 <span style="color: #07ff88;">(${data.marketInsights.topSkill._count.answer} users)</span>
               </div>
               <div style="margin-bottom: 1rem;">
-                <strong>Main Challenge:</strong> ${formatChallenge(data.marketInsights.topChallenge.answer)}
+                <strong>Main Challenge:</strong> ${survey.formatAnswer('biggest_challenge', data.marketInsights.topChallenge.answer)}
                 <span style="color: #ff6b6b;">(${data.marketInsights.topChallenge._count.answer} users)</span>
               </div>
               <div style="margin-bottom: 1rem;">
@@ -753,93 +2191,573 @@ app.get('/dashboard', (req, res, next) => {
           </div>
           
           <div class="insight-card">
-            <h3 class="insight-title">🎯 Business Health</h3>
-            <div style="space-y: 1rem;">
-              <div style="margin-bottom: 1rem;">
-                <strong>Product-Market Fit:</strong> 
-                <span style="color: #07ff88;">${data.businessMetrics.marketFit}</span>
+            <h3 class="insight-title">🎯 Business Health</h3>
+            <div style="space-y: 1rem;">
+              <div style="margin-bottom: 1rem;">
+                <strong>Product-Market Fit:</strong> 
+                <span style="color: #07ff88;">${data.businessMetrics.marketFit}</span>
+              </div>
+              <div style="margin-bottom: 1rem;">
+                <strong>Avg. Completion Time:</strong> ${data.businessMetrics.avgTimeToComplete}
+              </div>
+              <div style="margin-bottom: 1rem;">
+                <strong>High-Intent Users:</strong> 
+                <span style="color: #00d4ff;">${data.businessMetrics.retentionPotential}%</span>
+              </div>
+              <div>
+                <strong>Weekly Growth:</strong> 
+                <span style="color: #07ff88;">${data.weeklyGrowthRate}</span>
+              </div>
+            </div>
+          </div>
+          
+          <div class="insight-card">
+            <h3 class="insight-title">🏆 Top Referrers</h3>
+            <div style="margin-bottom: 1rem; color: #b4b4b4;">
+              ${data.referralStats.referredUsers} referred signups (${data.referralStats.referralShare}% of total)
+            </div>
+            ${data.referralStats.topReferrers.length > 0 ? data.referralStats.topReferrers.map((referrer, index) => `
+              <div class="funnel-step">
+                <span>${index + 1}. ${escapeHtml(referrer.email)}</span>
+                <div>
+                  <strong>${referrer.referralCount}</strong> referrals
+                </div>
+              </div>
+            `).join('') : '<div class="no-data">No referrals yet</div>'}
+          </div>
+          
+          <div class="insight-card">
+            <h3 class="insight-title">🎟️ Beta Invitations</h3>
+            ${Object.entries(data.lifecycle).map(([status, count]) => `
+              <div style="margin-bottom: 0.5rem;">
+                <strong>${formatStatus(status)}:</strong> ${count}
+              </div>
+            `).join('')}
+            ${canSendInvites && data.betaCapacity.spotsLeft === 0 ? `
+            <div class="no-data">All ${data.betaCapacity.spots} beta spots are taken</div>
+            ` : ''}
+            ${canSendInvites && data.betaCapacity.spotsLeft > 0 ? `
+            <form id="invite-form" class="invite-form">
+              <label>
+                Invite next
+                <input type="number" name="count" min="1" max="${data.betaCapacity.spotsLeft}" value="${Math.min(10, data.betaCapacity.spotsLeft)}">
+                users
+              </label>
+              <div class="skill-filters">
+                ${survey.getQuestion('primary_skill').options.map(option => `
+                  <label><input type="checkbox" name="skills" value="${option.value}"> ${option.label}</label>
+                `).join('')}
+              </div>
+              <div class="invite-actions">
+                <button type="button" onclick="sendInvites(true)">Preview</button>
+                <button type="button" onclick="sendInvites(false)">Send invites</button>
+              </div>
+              <div id="invite-result" class="invite-result"></div>
+            </form>
+            ` : ''}
+          </div>
+          
+          <div class="insight-card">
+            <h3 class="insight-title">📬 Email Queue</h3>
+            <div style="margin-bottom: 1rem; color: #b4b4b4;">
+              ${data.emailQueue.depth} waiting to send${data.emailQueue.oldestPendingAt ? `, oldest queued ${new Date(data.emailQueue.oldestPendingAt).toLocaleString()}` : ''}
+            </div>
+            ${Object.entries(data.emailQueue.counts).map(([status, count]) => `
+              <div style="margin-bottom: 0.5rem;">
+                <strong>${status.charAt(0).toUpperCase() + status.slice(1)}:</strong> ${count}
+              </div>
+            `).join('')}
+            ${data.emailQueue.failures.map(failure => `
+              <div class="funnel-step">
+                <span title="${escapeHtml(failure.lastError || '')}">${failure.type} → ${escapeHtml(failure.to)}</span>
+                <div>
+                  ${failure.attempts} attempts
+                  ${canRetryEmails ? `<span class="actions"><a href="#" onclick="retryEmails('${failure.id}'); return false;">Retry</a></span>` : ''}
+                </div>
+              </div>
+            `).join('')}
+            ${canRetryEmails && data.emailQueue.counts.dead > 0 ? `
+            <div class="invite-actions">
+              <button type="button" onclick="retryEmails()">Retry all failed</button>
+            </div>
+            ` : ''}
+          </div>
+          
+          <div class="insight-card">
+            <h3 class="insight-title">🛡️ Blocked Signups</h3>
+            <div style="margin-bottom: 1rem; color: #b4b4b4;">
+              ${data.signupRejections.total} blocked in the last ${data.signupRejections.days} days
+            </div>
+            ${Object.entries(data.signupRejections.counts).map(([reason, count]) => `
+              <div style="margin-bottom: 0.5rem;">
+                <strong>${REJECTION_REASON_LABELS[reason]}:</strong> ${count}
               </div>
-              <div style="margin-bottom: 1rem;">
-                <strong>Avg. Completion Time:</strong> ${data.businessMetrics.avgTimeToComplete}
+            `).join('')}
+            ${data.signupRejections.recent.map(rejection => `
+              <div class="funnel-step">
+                <span title="${escapeHtml(rejection.details ? JSON.stringify(rejection.details) : '')}">${escapeHtml(rejection.email || '-')}</span>
+                <div>
+                  ${REJECTION_REASON_LABELS[rejection.reason] || escapeHtml(rejection.reason)}
+                  <div style="color: #666; font-size: 0.8rem;">${escapeHtml(rejection.ip || '')} ${new Date(rejection.createdAt).toLocaleString()}</div>
+                </div>
               </div>
-              <div style="margin-bottom: 1rem;">
-                <strong>High-Intent Users:</strong> 
-                <span style="color: #00d4ff;">${data.businessMetrics.retentionPotential}%</span>
+            `).join('')}
+          </div>
+          
+          <div class="insight-card">
+            <h3 class="insight-title">📣 Campaigns</h3>
+            ${recentCampaigns.length > 0 ? recentCampaigns.map(campaign => `
+              <div class="funnel-step">
+                <span>
+                  ${escapeHtml(campaign.subject)}
+                  <div style="color: #b4b4b4; font-size: 0.8rem;">
+                    ${campaign.status}${campaign.scheduledAt && campaign.status === 'scheduled' ? ' for ' + new Date(campaign.scheduledAt).toLocaleString() : ''}
+                    · ${escapeHtml(campaign.segmentQuery || 'everyone')}
+                    ${campaign.stats.recipients > 0 ? ` · ${campaign.stats.sent}/${campaign.stats.recipients} sent, ${campaign.stats.failed} failed` : ''}
+                  </div>
+                </span>
+                <span class="actions">
+                  <a href="/api/admin/campaigns/${campaign.id}/preview" target="_blank">Preview</a>
+                  ${canSendUpdates && ['draft', 'scheduled'].includes(campaign.status) ? `
+                    <a href="#" onclick="campaignAction('${campaign.id}', 'test'); return false;">Test</a>
+                    ${campaign.status === 'scheduled' ? `<a href="#" onclick="campaignAction('${campaign.id}', 'unschedule'); return false;">Unschedule</a>` : ''}
+                    <a href="#" class="danger" onclick="campaignAction('${campaign.id}', 'send'); return false;">Send</a>
+                  ` : ''}
+                </span>
               </div>
-              <div>
-                <strong>Weekly Growth:</strong> 
-                <span style="color: #07ff88;">${data.weeklyGrowthRate}</span>
+            `).join('') : '<div class="no-data">No campaigns yet</div>'}
+            ${canSendUpdates ? `
+            <form id="campaign-form" class="invite-form campaign-form">
+              <input type="text" name="subject" placeholder="Subject" maxlength="200">
+              <textarea name="content" rows="4" placeholder="HTML body"></textarea>
+              <input type="text" name="segment" placeholder="Audience, e.g. primary_skill = photography AND interest_level >= 4" oninput="previewSegment()">
+              <div id="segment-count" style="margin-bottom: 0.75rem; color: #b4b4b4; font-size: 0.9rem;">Audience: everyone subscribed</div>
+              <label style="color: #b4b4b4; font-size: 0.9rem;">Schedule (optional)</label>
+              <input type="datetime-local" name="scheduledAt">
+              <div class="invite-actions">
+                <button type="button" onclick="saveCampaign()">Save campaign</button>
               </div>
-            </div>
+              <div id="campaign-result" class="invite-result"></div>
+            </form>
+            ` : ''}
           </div>
         </div>
 
         <!-- User Table -->
         <div class="user-table">
           <h3 class="chart-title">👥 Recent Signups</h3>
+          ${canManageUsers ? `
+          <form class="export-form invite-actions" method="GET" action="/api/admin/waitlist/export">
+            <label>From <input type="date" name="from"></label>
+            <label>Before <input type="date" name="to"></label>
+            <input type="text" name="segment" placeholder="Segment, e.g. interest_level >= 4">
+            <select name="format">
+              <option value="csv">CSV</option>
+              <option value="ndjson">NDJSON</option>
+            </select>
+            <button type="submit">Export all</button>
+          </form>
+          <form id="import-form" class="export-form invite-actions">
+            <label>Import leads (CSV with an email column) <input type="file" name="file" accept=".csv,text/csv"></label>
+            <label><input type="checkbox" name="confirmed" onchange="this.form.sendWelcome.disabled = !this.checked; this.form.sendWelcome.checked = false;"> Addresses already verified</label>
+            <label><input type="checkbox" name="sendWelcome" disabled> Send welcome emails</label>
+            <button type="button" onclick="importLeads(true)">Preview</button>
+            <button type="button" onclick="importLeads(false)">Import</button>
+          </form>
+          <div id="import-result" class="invite-result" style="margin: -1rem 0 1.5rem;"></div>
+          ` : ''}
+          <form id="user-filters" class="export-form" onsubmit="loadUsers(); return false;">
+            <input type="search" name="q" placeholder="Search by email" oninput="scheduleUserSearch()">
+            <select name="skill" onchange="loadUsers()">
+              <option value="">Any skill</option>
+              ${survey.getQuestion('primary_skill').options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+            </select>
+            <select name="challenge" onchange="loadUsers()">
+              <option value="">Any challenge</option>
+              ${survey.getQuestion('biggest_challenge').options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+            </select>
+            <label>Interest
+              <input type="number" name="interestMin" min="${survey.getQuestion('interest_level').min}" max="${survey.getQuestion('interest_level').max}" onchange="loadUsers()">
+              to
+              <input type="number" name="interestMax" min="${survey.getQuestion('interest_level').min}" max="${survey.getQuestion('interest_level').max}" onchange="loadUsers()">
+            </label>
+            <label>From <input type="date" name="from" onchange="loadUsers()"></label>
+            <label>Before <input type="date" name="to" onchange="loadUsers()"></label>
+            <select name="completion" onchange="loadUsers()">
+              <option value="">Any status</option>
+              <option value="partial">⏳ Partial</option>
+              <option value="unconfirmed">✉️ Unconfirmed</option>
+              <option value="completed">✅ Completed</option>
+            </select>
+          </form>
           <table>
             <thead>
               <tr>
-                <th>Email</th>
-                <th>Primary Skill</th>
-                <th>Main Challenge</th>
-                <th>Interest</th>
+                <th class="sortable" data-sort="email" onclick="sortUsers('email')">Email</th>
+                ${survey.getQuestions().map(question => `<th>${question.shortLabel}</th>`).join('')}
                 <th>Status</th>
-                <th>Date</th>
+                <th class="sortable" data-sort="status" onclick="sortUsers('status')">Waitlist</th>
+                <th class="sortable" data-sort="referralCount" onclick="sortUsers('referralCount')">Referrals</th>
+                <th class="sortable" data-sort="createdAt" onclick="sortUsers('createdAt')">Date</th>
+                ${canManageUsers ? '<th>Actions</th>' : ''}
               </tr>
             </thead>
-            <tbody>
-              ${users.length > 0 ? users.map(user => {
-                const responses = user.responses.reduce((acc, r) => {
-                  acc[r.questionId] = r.answer;
-                  return acc;
-                }, {});
-                
-                const isCompleted = user.responses.length >= 3;
-                
-                return `
-                  <tr>
-                    <td class="email">${user.email}</td>
-                    <td>${formatSkill(responses.primary_skill) || '-'}</td>
-                    <td>${formatChallenge(responses.biggest_challenge) || '-'}</td>
-                    <td>${responses.interest_level ? responses.interest_level + '/5 ⭐' : '-'}</td>
-                    <td>
-                      <span class="status-badge ${isCompleted ? 'status-completed' : ''}">
-                        ${isCompleted ? '✅ Completed' : '⏳ Partial'}
-                      </span>
-                    </td>
-                    <td class="date">${new Date(user.createdAt).toLocaleDateString()}</td>
-                  </tr>
-                `;
-              }).join('') : '<tr><td colspan="6" class="no-data">No users yet</td></tr>'}
+            <tbody id="user-rows">
+              <tr><td colspan="${userTableColumns}" class="no-data">Loading users…</td></tr>
             </tbody>
           </table>
+          <div class="table-footer">
+            <span id="user-count"></span>
+            <span class="invite-actions"><button type="button" id="load-more-users" onclick="loadUsers(true)" hidden>Load more</button></span>
+          </div>
         </div>
       </div>
 
       <script>
-        // Helper functions for server-side formatting
-        function formatSkill(skill) {
-          const skillMap = {
-            'design': 'Graphic Design',
-            'development': 'Web Development', 
-            'photography': 'Photography',
-            'writing': 'Content Writing',
-            'marketing': 'Digital Marketing',
-            'video': 'Video Production',
-            'other': 'Other'
-          };
-          return skillMap[skill] || skill || 'Not specified';
+        async function sendInvites(dryRun) {
+          const form = document.getElementById('invite-form');
+          const result = document.getElementById('invite-result');
+          const count = parseInt(form.count.value);
+          const skills = Array.from(form.querySelectorAll('input[name="skills"]:checked')).map(input => input.value);
+          
+          if (!dryRun && !confirm('Send beta invitations to the next ' + count + ' users?')) return;
+          
+          const response = await fetch('/api/admin/invites', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ count, skills, dryRun })
+          });
+          const data = await response.json();
+          
+          if (!response.ok) {
+            result.textContent = data.error || 'Failed to send invitations';
+            return;
+          }
+          
+          if (dryRun) {
+            result.textContent = data.invited.length > 0
+              ? 'Would invite: ' + data.invited.map(user => '#' + user.position + ' ' + user.email).join(', ')
+              : 'No eligible users waiting';
+          } else {
+            result.textContent = 'Invited ' + data.invited.length + ' users; their emails are queued';
+            setTimeout(() => window.location.reload(), 1500);
+          }
+        }
+        
+        async function importLeads(dryRun) {
+          const form = document.getElementById('import-form');
+          const result = document.getElementById('import-result');
+          const file = form.file.files[0];
+          if (!file) {
+            result.textContent = 'Choose a CSV file first';
+            return;
+          }
+          
+          const confirmed = form.confirmed.checked;
+          const sendWelcome = confirmed && form.sendWelcome.checked;
+          const emails = confirmed ? (sendWelcome ? ' and send them welcome emails' : ' as confirmed') : ' and email them a confirmation link';
+          if (!dryRun && !confirm('Import the leads in ' + file.name + emails + '?')) return;
+          
+          const response = await fetch('/api/admin/waitlist/import?dryRun=' + dryRun + '&confirmed=' + confirmed + '&sendWelcome=' + sendWelcome, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: await file.text()
+          });
+          const data = await response.json();
+          
+          if (!response.ok) {
+            result.textContent = data.error || 'Failed to import leads';
+            return;
+          }
+          
+          const problems = data.rows.filter(row => row.errors.length > 0);
+          const summary = (dryRun ? 'Would import ' + data.counts.new : 'Imported ' + data.counts.imported) +
+            ' of ' + data.total + ' rows; ' + data.counts.exists + ' already on the waitlist, ' +
+            data.counts.duplicate + ' repeated, ' + data.counts.invalid + ' invalid' +
+            (data.ignoredColumns.length ? '. Ignored columns: ' + data.ignoredColumns.join(', ') : '');
+          
+          result.innerHTML = '';
+          result.appendChild(document.createTextNode(summary));
+          if (problems.length > 0) {
+            const list = document.createElement('ul');
+            problems.slice(0, 20).forEach(row => {
+              const item = document.createElement('li');
+              item.textContent = 'Line ' + row.line + (row.email ? ' (' + row.email + ')' : '') + ': ' + row.errors.join('; ');
+              list.appendChild(item);
+            });
+            result.appendChild(list);
+          }
+          
+          if (!dryRun && data.counts.imported > 0 && problems.length === 0) {
+            setTimeout(() => window.location.reload(), 3000);
+          }
+        }
+        
+        async function saveCampaign() {
+          const form = document.getElementById('campaign-form');
+          const result = document.getElementById('campaign-result');
+          const body = { subject: form.subject.value, content: form.content.value, segment: form.segment.value };
+          if (form.scheduledAt.value) {
+            body.scheduledAt = new Date(form.scheduledAt.value).toISOString();
+          }
+          
+          const response = await fetch('/api/admin/campaigns', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+          });
+          const data = await response.json();
+          
+          if (!response.ok) {
+            result.textContent = data.error || 'Failed to save campaign';
+            return;
+          }
+          window.location.reload();
+        }
+        
+        let segmentTimer = null;
+        function previewSegment() {
+          clearTimeout(segmentTimer);
+          segmentTimer = setTimeout(async () => {
+            const output = document.getElementById('segment-count');
+            const segment = document.getElementById('campaign-form').segment.value;
+            const response = await fetch('/api/admin/segments/preview', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ segment })
+            });
+            const data = await response.json();
+            output.textContent = response.ok
+              ? 'Audience: ' + data.count + ' users' + (data.query ? '' : ' (everyone subscribed)')
+              : (data.details ? data.details[0] : data.error);
+          }, 300);
+        }
+        
+        async function campaignAction(id, action) {
+          if (action === 'send' && !confirm('Send this campaign to every subscribed user now?')) return;
+          
+          const response = await fetch('/api/admin/campaigns/' + id + '/' + action, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+          });
+          const data = await response.json();
+          
+          if (!response.ok) {
+            alert(data.error || 'Campaign action failed');
+          } else if (action === 'test') {
+            alert(data.message);
+          } else {
+            window.location.reload();
+          }
+        }
+        
+        async function retryEmails(id) {
+          const response = await fetch('/api/admin/outbox/retry', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(id ? { id } : {})
+          });
+          if (response.ok) {
+            window.location.reload();
+          } else {
+            alert('Failed to retry emails');
+          }
+        }
+        
+        const CAN_MANAGE_USERS = ${canManageUsers};
+        const SURVEY_QUESTION_IDS = ${JSON.stringify(survey.getQuestions().map(question => question.id))};
+        const WAITLIST_STATUS_LABELS = ${JSON.stringify(WAITLIST_STATUS_LABELS)};
+        const COMPLETION_BADGES = {
+          unconfirmed: { className: 'status-pending', label: '✉️ Unconfirmed' },
+          partial: { className: '', label: '⏳ Partial' },
+          completed: { className: 'status-completed', label: '✅ Completed' }
+        };
+        const userTable = { sort: 'createdAt', order: 'desc', nextCursor: null, loaded: 0, total: 0, request: 0 };
+        let userSearchTimer = null;
+        
+        function escapeHtml(value) {
+          return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+        }
+        
+        function scheduleUserSearch() {
+          clearTimeout(userSearchTimer);
+          userSearchTimer = setTimeout(() => loadUsers(), 300);
+        }
+        
+        function sortUsers(field) {
+          userTable.order = userTable.sort === field && userTable.order === 'desc' ? 'asc' : 'desc';
+          userTable.sort = field;
+          loadUsers();
+        }
+        
+        function renderUserRow(user) {
+          const badge = COMPLETION_BADGES[user.completion];
+          const email = escapeHtml(user.email);
+          return '<tr data-user-id="' + escapeHtml(user.id) + '">' +
+            '<td class="email">' + email + '</td>' +
+            SURVEY_QUESTION_IDS.map(id => '<td>' + (user.answers[id] !== undefined ? escapeHtml(user.answers[id]) : '-') + '</td>').join('') +
+            '<td><span class="status-badge ' + badge.className + '">' + badge.label + '</span></td>' +
+            '<td>' + (user.confirmedAt ? escapeHtml(WAITLIST_STATUS_LABELS[user.status] || user.status) : '-') + '</td>' +
+            '<td>' + user.referralCount + '</td>' +
+            '<td class="date">' + new Date(user.createdAt).toLocaleDateString() + '</td>' +
+            (CAN_MANAGE_USERS
+              ? '<td class="actions">' +
+                  '<a href="/api/admin/waitlist/' + user.id + '/export">Export</a>' +
+                  '<a href="#" class="danger" data-id="' + user.id + '" data-email="' + email + '" onclick="deleteUser(this.dataset.id, this.dataset.email); return false;">Delete</a>' +
+                '</td>'
+              : '') +
+            '</tr>';
+        }
+        
+        // Fetch the first page for the current filters and sort, or the
+        // next page when appending
+        async function loadUsers(append = false) {
+          const form = document.getElementById('user-filters');
+          const rows = document.getElementById('user-rows');
+          const params = new URLSearchParams();
+          new FormData(form).forEach((value, key) => {
+            if (value !== '') params.append(key, value);
+          });
+          params.set('sort', userTable.sort);
+          params.set('order', userTable.order);
+          if (append && userTable.nextCursor) params.set('cursor', userTable.nextCursor);
+          
+          // Ignore responses to searches the admin has already typed past
+          const request = ++userTable.request;
+          const response = await fetch('/api/admin/waitlist?' + params);
+          const data = await response.json();
+          if (request !== userTable.request) return;
+          
+          const columns = document.querySelectorAll('.user-table thead th').length;
+          if (!response.ok) {
+            rows.innerHTML = '<tr><td colspan="' + columns + '" class="no-data">' + escapeHtml(data.error || 'Failed to load users') + '</td></tr>';
+            return;
+          }
+          
+          if (!append) userTable.loaded = 0;
+          userTable.loaded += data.users.length;
+          userTable.total = data.total;
+          userTable.nextCursor = data.nextCursor;
+          
+          const html = data.users.map(renderUserRow).join('');
+          if (append) {
+            rows.insertAdjacentHTML('beforeend', html);
+          } else {
+            rows.innerHTML = html || '<tr><td colspan="' + columns + '" class="no-data">No users match</td></tr>';
+          }
+          
+          document.querySelectorAll('th.sortable').forEach(th => {
+            if (th.dataset.sort === userTable.sort) {
+              th.dataset.order = userTable.order;
+            } else {
+              delete th.dataset.order;
+            }
+          });
+          updateUserCount();
+          document.getElementById('load-more-users').hidden = !data.nextCursor;
+        }
+        
+        function updateUserCount() {
+          document.getElementById('user-count').textContent = 'Showing ' + userTable.loaded + ' of ' + userTable.total;
+        }
+        
+        function findUserRow(id) {
+          return Array.from(document.querySelectorAll('#user-rows tr[data-user-id]')).find(row => row.dataset.userId === id);
+        }
+        
+        // A new signup goes on top when the table shows the newest users
+        // unfiltered; otherwise it may not match, so refetch the first page
+        function addUserRow(user) {
+          const filtered = Array.from(new FormData(document.getElementById('user-filters')).values()).some(value => value !== '');
+          if (filtered || userTable.sort !== 'createdAt' || userTable.order !== 'desc') {
+            return scheduleUserSearch();
+          }
+          
+          const rows = document.getElementById('user-rows');
+          if (!rows.querySelector('tr[data-user-id]')) rows.innerHTML = '';
+          rows.insertAdjacentHTML('afterbegin', renderUserRow(user));
+          userTable.loaded++;
+          userTable.total++;
+          updateUserCount();
+        }
+        
+        function replaceUserRow(user) {
+          const row = findUserRow(user.id);
+          if (row) row.outerHTML = renderUserRow(user);
+        }
+        
+        function removeUserRow(id) {
+          const row = findUserRow(id);
+          if (!row) return;
+          row.remove();
+          userTable.loaded--;
+          userTable.total--;
+          updateUserCount();
         }
         
-        function formatChallenge(challenge) {
-          const challengeMap = {
-            'payment_delays': 'Payment Delays',
-            'finding_clients': 'Finding Clients',
-            'pricing_services': 'Pricing Services', 
-            'skill_gaps': 'Skill Gaps'
+        loadUsers();
+        
+        // Live updates over the admin WebSocket channel, authenticated with
+        // the session cookie
+        function connectLiveUpdates() {
+          const status = document.getElementById('live-status');
+          const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws/admin');
+          
+          socket.onopen = () => {
+            status.classList.add('connected');
+            status.title = 'Live updates on';
+          };
+          
+          socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            switch (message.type) {
+              case 'dashboard_stats':
+                document.getElementById('dashboard-metrics').innerHTML = message.metrics;
+                document.getElementById('dashboard-funnel').innerHTML = message.funnel;
+                document.getElementById('dashboard-updated').textContent = new Date(message.timestamp).toLocaleString();
+                break;
+              case 'user_created':
+                addUserRow(message.user);
+                break;
+              case 'user_updated':
+                replaceUserRow(message.user);
+                break;
+              case 'user_deleted':
+                removeUserRow(message.id);
+                break;
+              case 'users_changed':
+                loadUsers();
+                break;
+            }
           };
-          return challengeMap[challenge] || challenge || 'Not specified';
+          
+          socket.onclose = (event) => {
+            status.classList.remove('connected');
+            status.title = 'Live updates off';
+            // 4401: the session is gone, so retrying won't help
+            if (event.code !== 4401) {
+              setTimeout(connectLiveUpdates, 5000);
+            }
+          };
+        }
+        
+        connectLiveUpdates();
+        
+        async function deleteUser(id, email) {
+          if (!confirm('Permanently delete ' + email + ' and all their data?')) return;
+          
+          const response = await fetch('/api/admin/waitlist/' + id, { method: 'DELETE' });
+          if (response.ok) {
+            removeUserRow(id);
+          } else {
+            alert('Failed to delete user');
+          }
+        }
+        
+        async function logout() {
+          await fetch('/api/admin/logout', { method: 'POST' });
+          window.location.reload();
         }
       </script>
     </body>
@@ -864,29 +2782,408 @@ app.get('/dashboard', (req, res, next) => {
 });
 
 // Helper methods for formatting (add these to the server file)
-function formatSkill(skill) {
-  const skillMap = {
-    'design': 'Graphic Design',
-    'development': 'Web Development', 
-    'photography': 'Photography',
-    'writing': 'Content Writing',
-    'marketing': 'Digital Marketing',
-    'video': 'Video Production',
-    'other': 'Other'
-  };
-  return skillMap[skill] || skill || 'Not specified';
+// Dashboard KPI cards. Also pushed to the admin channel when numbers change.
+function renderMetricCards(data) {
+  return `
+    <div class="metric-card">
+      <div class="metric-value">${data.totalUsers}</div>
+      <div class="metric-label">Total Signups</div>
+      <div class="metric-change positive">+${data.usersThisWeek} this week</div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.usersToday}</div>
+      <div class="metric-label">Today's Signups</div>
+      <div class="metric-change ${data.usersToday > 0 ? 'positive' : 'neutral'}">
+        ${data.usersToday > 0 ? '+' + data.usersToday : 'None yet'}
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.weeklyGrowthRate}</div>
+      <div class="metric-label">Weekly Growth</div>
+      <div class="metric-change positive">Growth rate</div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.businessMetrics.completionRate}%</div>
+      <div class="metric-label">Completion Rate</div>
+      <div class="metric-change ${parseFloat(data.businessMetrics.completionRate) > 80 ? 'positive' : 'neutral'}">
+        Visit to signup
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.businessMetrics.retentionPotential}%</div>
+      <div class="metric-label">High Interest Users</div>
+      <div class="metric-change positive">Interest level 4-5</div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.betaCapacity.spotsLeft}</div>
+      <div class="metric-label">Beta Spots Left</div>
+      <div class="metric-change neutral">Out of ${data.betaCapacity.spots}</div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.pendingUsers}</div>
+      <div class="metric-label">Awaiting Confirmation</div>
+      <div class="metric-change neutral">Not counted toward spots</div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-value">${data.partialLeads}</div>
+      <div class="metric-label">Partial Leads</div>
+      <div class="metric-change neutral">Stopped after the email step</div>
+    </div>
+  `;
 }
 
-function formatChallenge(challenge) {
-  const challengeMap = {
-    'payment_delays': 'Payment Delays',
-    'finding_clients': 'Finding Clients',
-    'pricing_services': 'Pricing Services', 
-    'skill_gaps': 'Skill Gaps'
-  };
-  return challengeMap[challenge] || challenge || 'Not specified';
+function renderFunnelCard(data) {
+  return `
+    <h3 class="insight-title">🚀 Conversion Funnel</h3>
+    <div style="margin-bottom: 1rem; color: #b4b4b4;">
+      ${data.funnelSessions} visitor sessions in the last ${data.funnelWindowDays} days, ${data.funnelErrors} form errors
+    </div>
+    ${data.conversionFunnel.map((step, index) => `
+      <div class="funnel-step">
+        <span>${step.stage}</span>
+        <div>
+          <strong>${step.users}</strong> sessions (${step.rate})
+          ${index > 0 ? `<div style="color: #ff6b6b; font-size: 0.8rem;">-${step.dropOff} dropped (${step.dropOffRate})</div>` : ''}
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+const WAITLIST_STATUS_LABELS = {
+  'waiting': '⏳ Waiting',
+  'invited': '📨 Invited',
+  'accepted': '🎉 Accepted',
+  'declined': '🚫 Declined',
+  'expired': '⌛ Expired'
+};
+
+function formatStatus(status) {
+  return WAITLIST_STATUS_LABELS[status] || status;
+}
+
+const REJECTION_REASON_LABELS = {
+  'honeypot': '🍯 Honeypot',
+  'disposable_email': '🗑️ Disposable email',
+  'too_fast': '⚡ Too fast',
+  'suspicious': '🤖 Suspicious',
+  'challenge_failed': '🧩 Challenge failed'
+};
+
+// For anything typed by visitors, admins or returned by the email provider
+// before it goes into dashboard HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
 }
 
+// Minimal standalone page (login, email preferences, privacy requests)
+// in the dashboard's dark card style
+function renderCardPage(title, content) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #080808;
+          color: #e5e5e5;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 100vh;
+          margin: 0;
+        }
+        
+        .card {
+          background: linear-gradient(135deg, #111 0%, #1a1a1a 100%);
+          border: 1px solid #333;
+          border-radius: 16px;
+          padding: 2rem;
+          width: 100%;
+          max-width: 420px;
+        }
+        
+        h1 {
+          font-size: 1.5rem;
+          color: #07ff88;
+          margin: 0 0 0.5rem;
+        }
+        
+        .subtitle {
+          color: #b4b4b4;
+          margin: 0 0 1.5rem;
+        }
+        
+        input[type="email"],
+        input[type="password"],
+        select {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 0.8rem;
+          margin-bottom: 1rem;
+          background: #080808;
+          border: 1px solid #333;
+          border-radius: 8px;
+          color: #e5e5e5;
+        }
+        
+        label {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.75rem 0;
+          border-bottom: 1px solid #333;
+          cursor: pointer;
+        }
+        
+        button {
+          width: 100%;
+          border: none;
+          padding: 0.8rem;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+          margin-top: 1rem;
+          background: linear-gradient(135deg, #07ff88, #00d4ff);
+          color: #000;
+        }
+        
+        button.btn-danger {
+          background: transparent;
+          color: #ff6b6b;
+          border: 1px solid #ff6b6b;
+        }
+        
+        .status {
+          color: #07ff88;
+          font-size: 0.9rem;
+          min-height: 1.2rem;
+          margin-top: 1rem;
+        }
+        
+        .status.error {
+          color: #ff6b6b;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        ${content}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// Login page shown on /dashboard when there is no valid admin session
+function renderAdminLogin() {
+  return renderCardPage('Zintle Admin Login', `
+    <form id="login-form">
+      <h1>Zintle Admin</h1>
+      <p class="subtitle">Sign in to view the dashboard.</p>
+      <input type="email" name="email" placeholder="Email" required autofocus>
+      <input type="password" name="password" placeholder="Password" required>
+      <button type="submit">Sign in</button>
+      <div class="status error" id="login-error"></div>
+    </form>
+    <script>
+      document.getElementById('login-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await fetch('/api/admin/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            email: e.target.email.value,
+            password: e.target.password.value
+          })
+        });
+        
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          const result = await response.json().catch(() => ({}));
+          document.getElementById('login-error').textContent = result.error || 'Login failed';
+        }
+      });
+    </script>
+  `);
+}
+
+// Email preferences page; `token` is null when the link was invalid
+function renderPreferencesPage(token, email, current = {}) {
+  if (!token) {
+    return renderCardPage('Zintle Email Preferences', `
+      <h1>Email Preferences</h1>
+      <p class="subtitle">This link is invalid or no longer active.</p>
+    `);
+  }
+
+  return renderCardPage('Zintle Email Preferences', `
+    <h1>Email Preferences</h1>
+    <p class="subtitle">Choose which emails ${escapeHtml(email)} receives from Zintle.</p>
+    <form id="preferences-form">
+      ${Object.entries(PreferenceService.categories).map(([category, label]) => `
+        <label>
+          <input type="checkbox" name="${category}" ${current[category] ? 'checked' : ''}>
+          <span>${label}</span>
+        </label>
+      `).join('')}
+      <button type="submit">Save preferences</button>
+      <button type="button" class="btn-danger" id="unsubscribe-all">Unsubscribe from all</button>
+      <div class="status" id="status"></div>
+    </form>
+    <script>
+      const token = ${JSON.stringify(token)};
+      const form = document.getElementById('preferences-form');
+      const status = document.getElementById('status');
+      
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = {};
+        form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+          body[input.name] = input.checked;
+        });
+        
+        const response = await fetch('/api/preferences/' + token, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        status.textContent = response.ok ? 'Preferences saved.' : 'Could not save preferences.';
+      });
+      
+      document.getElementById('unsubscribe-all').addEventListener('click', async () => {
+        const response = await fetch('/api/unsubscribe/' + token, { method: 'POST' });
+        if (response.ok) {
+          form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = false;
+          });
+          status.textContent = "You've been unsubscribed from all Zintle emails.";
+        } else {
+          status.textContent = 'Could not unsubscribe. Please try again.';
+        }
+      });
+    </script>
+  `);
+}
+
+// Self-service entry point for data export and deletion requests
+function renderPrivacyRequestPage() {
+  return renderCardPage('Zintle Privacy Requests', `
+    <h1>Your Data</h1>
+    <p class="subtitle">Get a copy of your data or have it deleted. We'll email you a link to verify the request.</p>
+    <form id="privacy-form">
+      <input type="email" name="email" placeholder="Email you signed up with" required autofocus>
+      <select name="type">
+        <option value="export">Export my data (JSON)</option>
+        <option value="delete">Delete my data</option>
+      </select>
+      <button type="submit">Send verification link</button>
+      <div class="status" id="status"></div>
+    </form>
+    <script>
+      document.getElementById('privacy-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await fetch('/api/privacy/request', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            email: e.target.email.value,
+            type: e.target.type.value
+          })
+        });
+        const result = await response.json().catch(() => ({}));
+        document.getElementById('status').textContent = result.message || result.error || 'Something went wrong';
+      });
+    </script>
+  `);
+}
+
+// Final confirmation before erasing a user; `token` is null when invalid
+function renderPrivacyDeletePage(token, email) {
+  if (!token) {
+    return renderCardPage('Zintle Data Deletion', `
+      <h1>Delete Your Data</h1>
+      <p class="subtitle">This link is invalid or has expired. You can request a new one at <a href="/privacy" style="color: #00d4ff;">/privacy</a>.</p>
+    `);
+  }
+
+  return renderCardPage('Zintle Data Deletion', `
+    <h1>Delete Your Data</h1>
+    <p class="subtitle">This permanently deletes the waitlist account for ${email}, your survey answers and email preferences. It cannot be undone.</p>
+    <button type="button" class="btn-danger" id="confirm-delete">Delete my data</button>
+    <div class="status" id="status"></div>
+    <script>
+      document.getElementById('confirm-delete').addEventListener('click', async (e) => {
+        const response = await fetch('/api/privacy/delete/' + ${JSON.stringify(token)}, { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+        document.getElementById('status').textContent = result.message || result.error || 'Something went wrong';
+        if (response.ok) {
+          e.target.disabled = true;
+        }
+      });
+    </script>
+  `);
+}
+
+// Accept/decline page for a beta invitation; `token` is null when invalid
+function renderInvitePage(token, user) {
+  if (!token) {
+    return renderCardPage('Zintle Beta Invitation', `
+      <h1>Beta Invitation</h1>
+      <p class="subtitle">This invitation link is invalid or has expired.</p>
+    `);
+  }
+
+  if (user.status !== 'invited') {
+    return renderCardPage('Zintle Beta Invitation', `
+      <h1>Beta Invitation</h1>
+      <p class="subtitle">This invitation is no longer open (${formatStatus(user.status)}).</p>
+    `);
+  }
+
+  return renderCardPage('Zintle Beta Invitation', `
+    <h1>You're Invited 🎉</h1>
+    <p class="subtitle">Your spot in Zintle's private beta is reserved until ${user.inviteExpiresAt.toDateString()}. Use the access code from your email to sign in once you accept.</p>
+    <button type="button" id="accept-invite">Accept invitation</button>
+    <button type="button" class="btn-danger" id="decline-invite">No thanks, give my spot away</button>
+    <div class="status" id="status"></div>
+    <script>
+      async function respond(response) {
+        const result = await fetch('/api/invites/' + ${JSON.stringify(token)}, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ response })
+        });
+        const data = await result.json().catch(() => ({}));
+        document.getElementById('status').textContent = result.ok
+          ? (response === 'accept' ? "You're in! See you in the beta." : 'Thanks for letting us know.')
+          : (data.error || 'Something went wrong');
+        document.querySelectorAll('button').forEach(button => { button.disabled = result.ok; });
+      }
+      
+      document.getElementById('accept-invite').addEventListener('click', () => respond('accept'));
+      document.getElementById('decline-invite').addEventListener('click', () => respond('decline'));
+    </script>
+  `);
+}
+
+// Survey definition for the landing page form, in ?locale= (default English)
+app.get('/api/survey', (req, res) => {
+  res.json({ questions: survey.getQuestions(normalizeLocale(req.query.locale)) });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error(error);
@@ -894,13 +3191,75 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`WebSocket server running on port 8080`);
+  console.log(`WebSocket server running on ${realtime.path}`);
+
+  adminAuth.bootstrapOwner().catch(error => {
+    console.error('Failed to bootstrap admin:', error);
+  });
+
+  referrals.backfillCodes().catch(error => {
+    console.error('Failed to backfill referral codes:', error);
+  });
+
+  duplicates.backfill().catch(error => {
+    console.error('Failed to backfill canonical emails:', error);
+  });
+
+  outbox.start().catch(error => {
+    console.error('Failed to start email outbox worker:', error);
+  });
 });
 
+realtime.attach(server);
+
+// Send scheduled campaigns when they are due, and finish any delivery a
+// restart interrupted
+setInterval(() => {
+  campaigns.processDue().catch(error => {
+    console.error('Failed to process campaigns:', error);
+  });
+}, 60 * 1000);
+
+// Clean up expired unconfirmed signups, partial leads, unanswered invites
+// and old signup rejections every hour, and remind partial leads to finish
+setInterval(() => {
+  Promise.all([confirmations.expirePending(), partialSignups.expire()])
+    .then(counts => {
+      if (counts.some(count => count > 0)) {
+        broadcastAdmin('users_changed');
+        scheduleDashboardPush();
+      }
+    })
+    .catch(error => {
+      console.error('Failed to expire pending signups:', error);
+    });
+
+  partialSignups.sendReminders().catch(error => {
+    console.error('Failed to send resume-your-signup reminders:', error);
+  });
+
+  signupGuard.purge().catch(error => {
+    console.error('Failed to purge old signup rejections:', error);
+  });
+
+  invitations.expireInvites()
+    .then(count => {
+      if (count > 0) {
+        broadcastAdmin('users_changed');
+        return broadcastSignupStats();
+      }
+    })
+    .catch(error => {
+      console.error('Failed to expire invitations:', error);
+    });
+}, 60 * 60 * 1000);
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
+  outbox.stop();
+  realtime.close();
   await prisma.$disconnect();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,174 @@
+// Signups that couldn't reach the server are kept in localStorage and
+// retried with backoff until they go through: when the browser comes back
+// online, on a timer while the page is open, and on the next visit. Each one
+// carries an idempotency key, so retrying a request that did reach the
+// server never signs the person up twice.
+//
+//   ZintleSignupQueue.init({ url, onSettled });
+//   const outcome = await ZintleSignupQueue.submit(formData);
+//   // outcome.status: 'sent' | 'rejected' | 'queued'
+//
+// onSettled(outcome) reports submissions that settle in the background.
+(function() {
+  const STORAGE_KEY = 'zintle_pending_signups';
+  const BASE_DELAY_MS = 5000;
+  const MAX_DELAY_MS = 10 * 60 * 1000;
+  const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  let url = null;
+  let onSettled = () => {};
+  let timer = null;
+  let flushing = null;
+  // Keys of requests on the wire, so a flush never doubles up with submit()
+  const inFlight = new Set();
+  // Without storage the queue only lives as long as the page
+  let memory = [];
+
+  function load() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      return memory;
+    }
+  }
+
+  function save(entries) {
+    memory = entries;
+    try {
+      if (entries.length > 0) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage unavailable (private mode); keep it in memory
+    }
+  }
+
+  function update(key, changes) {
+    save(load().map(entry => entry.key === key ? { ...entry, ...changes } : entry));
+  }
+
+  function remove(key) {
+    save(load().filter(entry => entry.key !== key));
+  }
+
+  function generateKey() {
+    return (window.crypto && crypto.randomUUID)
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  // Timeouts, rate limits and server errors are worth retrying; anything
+  // else is the server's final answer
+  function isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // One attempt -> { status: 'sent' | 'rejected', response, result } or
+  // { status: 'queued' } when it should be retried
+  async function attempt(entry) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': entry.key
+        },
+        body: JSON.stringify(entry.payload)
+      });
+    } catch (error) {
+      return { status: 'queued' };
+    }
+
+    if (isRetryable(response.status)) return { status: 'queued' };
+
+    const result = await response.json().catch(() => ({}));
+    return { status: response.ok ? 'sent' : 'rejected', response, result };
+  }
+
+  function backoff(attempts) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempts);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  // Wake up when the next entry is due
+  function schedule() {
+    clearTimeout(timer);
+    const entries = load();
+    if (entries.length === 0) return;
+
+    const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    timer = setTimeout(flush, Math.max(0, next - Date.now()));
+  }
+
+  async function send(entry) {
+    inFlight.add(entry.key);
+    try {
+      return settle(entry, await attempt(entry));
+    } finally {
+      inFlight.delete(entry.key);
+    }
+  }
+
+  function settle(entry, outcome) {
+    if (outcome.status === 'queued') {
+      const attempts = entry.attempts + 1;
+      update(entry.key, { attempts, nextAttemptAt: Date.now() + backoff(attempts) });
+    } else {
+      remove(entry.key);
+    }
+    return outcome;
+  }
+
+  // Retry every due entry, one at a time
+  async function flush({ force = false } = {}) {
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+      const now = Date.now();
+      for (const entry of load()) {
+        if (now - entry.createdAt > MAX_AGE_MS) {
+          remove(entry.key);
+          continue;
+        }
+        if (inFlight.has(entry.key) || (!force && entry.nextAttemptAt > now)) continue;
+
+        const outcome = await send(entry);
+        if (outcome.status !== 'queued') {
+          onSettled({ ...outcome, payload: entry.payload });
+        }
+      }
+    })();
+
+    try {
+      await flushing;
+    } finally {
+      flushing = null;
+      schedule();
+    }
+  }
+
+  // Send a signup now, queueing it if the server can't be reached
+  async function submit(payload) {
+    const entry = { key: generateKey(), payload, attempts: 0, nextAttemptAt: Date.now(), createdAt: Date.now() };
+    save([...load(), entry]);
+
+    const outcome = await send(entry);
+    schedule();
+    return outcome;
+  }
+
+  function init(options) {
+    url = options.url;
+    onSettled = options.onSettled || onSettled;
+
+    window.addEventListener('online', () => flush({ force: true }));
+    // Anything left over from an earlier visit
+    flush({ force: true });
+  }
+
+  window.ZintleSignupQueue = { init, submit, flush };
+})();
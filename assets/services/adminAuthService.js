@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role lists the permissions it grants. Routes ask for a permission,
+// never for a role, so new roles can be added here without touching them.
+const ROLE_PERMISSIONS = {
+  viewer: ['analytics:read'],
+  sender: ['analytics:read', 'updates:send', 'invites:send', 'outbox:manage'],
+  owner: ['analytics:read', 'updates:send', 'invites:send', 'outbox:manage', 'users:manage', 'admins:manage']
+};
+
+const SESSION_COOKIE = 'zintle_admin';
+
+class AdminAuthService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.sessionTtlMs = (parseInt(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+    this.secureCookies = process.env.NODE_ENV === 'production';
+  }
+
+  static get roles() {
+    return Object.keys(ROLE_PERMISSIONS);
+  }
+
+  hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `${salt}:${derived.toString('hex')}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    const [salt, key] = (passwordHash || '').split(':');
+    if (!salt || !key) return false;
+
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(key, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create the first owner account from ADMIN_EMAIL / ADMIN_PASSWORD when
+  // the admin table is still empty. Later admins are created through the API.
+  async bootstrapOwner() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) return null;
+
+    const existing = await this.prisma.adminUser.count();
+    if (existing > 0) return null;
+
+    const admin = await this.createAdmin({ email, password, role: 'owner', name: 'Owner' });
+    console.log('🔐 Bootstrapped owner admin:', admin.email);
+    return admin;
+  }
+
+  async createAdmin({ email, password, role = 'viewer', name = null }) {
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Unknown admin role: ${role}`);
+    }
+
+    const admin = await this.prisma.adminUser.create({
+      data: {
+        email: email.toLowerCase(),
+        name,
+        role,
+        passwordHash: await this.hashPassword(password)
+      }
+    });
+
+    return this.toPublicAdmin(admin);
+  }
+
+  async login(email, password) {
+    const admin = await this.prisma.adminUser.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+
+    if (!admin || !(await this.verifyPassword(password, admin.passwordHash))) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.sessionTtlMs);
+
+    await this.prisma.$transaction([
+      this.prisma.adminSession.create({
+        data: { adminId: admin.id, tokenHash: this.hashToken(token), expiresAt }
+      }),
+      this.prisma.adminUser.update({
+        where: { id: admin.id },
+        data: { lastLoginAt: new Date() }
+      })
+    ]);
+
+    return { token, expiresAt, admin: this.toPublicAdmin(admin) };
+  }
+
+  async logout(token) {
+    if (!token) return;
+    await this.prisma.adminSession.deleteMany({
+      where: { tokenHash: this.hashToken(token) }
+    });
+  }
+
+  async authenticate(token) {
+    if (!token) return null;
+
+    const session = await this.prisma.adminSession.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { admin: true }
+    });
+
+    if (!session) return null;
+
+    if (session.expiresAt < new Date()) {
+      await this.prisma.adminSession.delete({ where: { id: session.id } });
+      return null;
+    }
+
+    return this.toPublicAdmin(session.admin);
+  }
+
+  // Accept either the session cookie set by the login route or an
+  // "Authorization: Bearer <token>" header for scripted access.
+  getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+      const [name, ...rest] = cookie.trim().split('=');
+      if (name === SESSION_COOKIE) {
+        return decodeURIComponent(rest.join('='));
+      }
+    }
+    return null;
+  }
+
+  setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secureCookies,
+      expires: expiresAt,
+      path: '/'
+    });
+  }
+
+  clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+  }
+
+  // Express middleware. API requests get a JSON 401/403; pass
+  // { onUnauthenticated } to render something else (e.g. a login page).
+  requireAdmin(permission, options = {}) {
+    return async (req, res, next) => {
+      try {
+        const admin = await this.authenticate(this.getRequestToken(req));
+
+        if (!admin) {
+          if (options.onUnauthenticated) {
+            return options.onUnauthenticated(req, res);
+          }
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (permission && !this.hasPermission(admin.role, permission)) {
+          return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        req.admin = admin;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  toPublicAdmin(admin) {
+    return {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      permissions: ROLE_PERMISSIONS[admin.role] || [],
+      lastLoginAt: admin.lastLoginAt,
+      createdAt: admin.createdAt
+    };
+  }
+}
+
+module.exports = AdminAuthService;
@@ -0,0 +1,275 @@
+// Progress update campaigns. A campaign is drafted, previewed and
+// test-sent, then sent now or on schedule. Sending first claims the campaign
+// (draft/scheduled -> sending) so a repeated request can never start a
+// second run, then snapshots the audience into CampaignRecipient rows and
+// delivers whatever is still pending.
+const crypto = require('crypto');
+
+const STATUSES = ['draft', 'scheduled', 'sending', 'sent'];
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const DELIVERY_CHUNK_SIZE = 50;
+
+class CampaignService {
+  constructor(prisma, { emailService, preferences, segments } = {}) {
+    this.prisma = prisma;
+    this.emailService = emailService;
+    this.preferences = preferences;
+    this.segments = segments;
+    // Identical subject, body and segment within this window count as a double submit
+    this.duplicateWindowMinutes = parseInt(process.env.CAMPAIGN_DUPLICATE_WINDOW_MINUTES) || 10;
+    // Campaigns with a delivery loop running in this process
+    this.delivering = new Set();
+  }
+
+  static get statuses() {
+    return STATUSES;
+  }
+
+  async create({ subject, content, segment = null, scheduledAt = null, idempotencyKey = null, createdBy = null }) {
+    if (idempotencyKey) {
+      const existing = await this.prisma.campaign.findUnique({ where: { idempotencyKey } });
+      if (existing) return { campaign: existing, created: false };
+    }
+
+    try {
+      const campaign = await this.prisma.campaign.create({
+        data: {
+          subject,
+          content,
+          segment: this.serializeSegment(segment),
+          status: scheduledAt ? 'scheduled' : 'draft',
+          scheduledAt,
+          idempotencyKey,
+          createdBy
+        }
+      });
+      return { campaign, created: true };
+    } catch (error) {
+      // A concurrent request with the same key got there first
+      if (error.code === 'P2002' && idempotencyKey) {
+        const existing = await this.prisma.campaign.findUnique({ where: { idempotencyKey } });
+        if (existing) return { campaign: existing, created: false };
+      }
+      throw error;
+    }
+  }
+
+  // Stand-in idempotency key for requests that don't send one: the same
+  // subject, body and segment within one duplicate window share a key, so
+  // the unique column stops concurrent double submits that
+  // findRecentDuplicate can't see yet
+  duplicateKey({ subject, content, segment = null }) {
+    const bucket = Math.floor(Date.now() / (this.duplicateWindowMinutes * 60 * 1000));
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([subject, content, this.serializeSegment(segment), bucket]))
+      .digest('hex');
+    return `auto-${hash}`;
+  }
+
+  // Segment rules are stored as JSON; no rules means everyone
+  serializeSegment(rules) {
+    return rules && rules.length > 0 ? JSON.stringify(rules) : null;
+  }
+
+  getSegment(campaign) {
+    return campaign.segment ? JSON.parse(campaign.segment) : [];
+  }
+
+  withSegment(campaign) {
+    return { ...campaign, segmentQuery: this.segments.describe(this.getSegment(campaign)) };
+  }
+
+  // Same subject, body and segment sent recently, e.g. by a double-clicked
+  // button. Drafts don't count: saving one and then sending it is not a
+  // double submit, and neither is sending the same update to another segment.
+  async findRecentDuplicate({ subject, content, segment = null }) {
+    return this.prisma.campaign.findFirst({
+      where: {
+        subject,
+        content,
+        segment: this.serializeSegment(segment),
+        status: { in: ['sending', 'sent'] },
+        createdAt: { gte: new Date(Date.now() - this.duplicateWindowMinutes * 60 * 1000) }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  async list(limit = 20) {
+    const campaigns = await this.prisma.campaign.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return Promise.all(campaigns.map(async campaign => ({
+      ...this.withSegment(campaign),
+      stats: await this.getDeliveryStats(campaign.id)
+    })));
+  }
+
+  async get(id) {
+    const campaign = await this.prisma.campaign.findUnique({ where: { id } });
+    if (!campaign) return null;
+
+    const failures = await this.prisma.campaignRecipient.findMany({
+      where: { campaignId: id, status: 'failed' },
+      select: { email: true, error: true },
+      take: 50
+    });
+
+    return { ...this.withSegment(campaign), stats: await this.getDeliveryStats(id), failures };
+  }
+
+  async getDeliveryStats(campaignId) {
+    const groups = await this.prisma.campaignRecipient.groupBy({
+      by: ['status'],
+      where: { campaignId },
+      _count: { status: true }
+    });
+
+    const stats = { recipients: 0, pending: 0, sent: 0, failed: 0 };
+    groups.forEach(group => {
+      stats[group.status] = group._count.status;
+      stats.recipients += group._count.status;
+    });
+    return stats;
+  }
+
+  // Edit a draft or scheduled campaign. Returns null once sending started.
+  async update(id, changes) {
+    const data = { ...changes };
+    if ('segment' in data) data.segment = this.serializeSegment(data.segment);
+
+    const { count } = await this.prisma.campaign.updateMany({
+      where: { id, status: { in: EDITABLE_STATUSES } },
+      data
+    });
+    return count === 1 ? this.prisma.campaign.findUnique({ where: { id } }) : null;
+  }
+
+  async schedule(id, scheduledAt) {
+    return this.update(id, { status: 'scheduled', scheduledAt });
+  }
+
+  async unschedule(id) {
+    return this.update(id, { status: 'draft', scheduledAt: null });
+  }
+
+  renderPreview(campaign) {
+    return this.emailService.generateUpdateHTML(campaign.subject, campaign.content, {
+      pageUrl: '#',
+      oneClickUrl: '#'
+    });
+  }
+
+  async sendTest(campaign, email) {
+    return this.emailService.sendProgressUpdate([email], `[Test] ${campaign.subject}`, campaign.content);
+  }
+
+  // Start delivery. Returns null if the campaign is already sending or sent.
+  // The claim and the audience snapshot commit together, so a crash in
+  // between can't leave a campaign 'sending' to nobody.
+  async send(id) {
+    const recipients = await this.prisma.$transaction(async (tx) => {
+      const { count } = await tx.campaign.updateMany({
+        where: { id, status: { in: EDITABLE_STATUSES } },
+        data: { status: 'sending', startedAt: new Date() }
+      });
+      if (count === 0) return null;
+
+      // Subscribed users in the campaign's segment
+      const campaign = await tx.campaign.findUnique({ where: { id } });
+      const users = await tx.user.findMany({
+        where: this.segments.audienceWhere(this.getSegment(campaign)),
+        select: { id: true, email: true }
+      });
+
+      await tx.campaignRecipient.createMany({
+        data: users.map(user => ({ campaignId: id, userId: user.id, email: user.email }))
+      });
+      return users.length;
+    });
+    if (recipients === null) return null;
+
+    console.log(`📣 Campaign ${id} started for ${recipients} recipients`);
+    return this.prisma.campaign.findUnique({ where: { id } });
+  }
+
+  // Send everything still pending for a campaign that is sending. Also
+  // resumes a run interrupted by a restart.
+  async deliver(id) {
+    if (this.delivering.has(id)) return null;
+    this.delivering.add(id);
+
+    try {
+      return await this.deliverPending(id);
+    } finally {
+      this.delivering.delete(id);
+    }
+  }
+
+  async deliverPending(id) {
+    const campaign = await this.prisma.campaign.findUnique({ where: { id } });
+    if (!campaign || campaign.status !== 'sending') return null;
+
+    for (;;) {
+      const pending = await this.prisma.campaignRecipient.findMany({
+        where: { campaignId: id, status: 'pending' },
+        include: { user: { select: { locale: true } } },
+        take: DELIVERY_CHUNK_SIZE
+      });
+      if (pending.length === 0) break;
+
+      const result = await this.emailService.sendProgressUpdate(
+        pending.map(recipient => ({
+          email: recipient.email,
+          unsubscribe: this.preferences.getUnsubscribeLinks(recipient.userId),
+          locale: recipient.user.locale
+        })),
+        campaign.subject,
+        campaign.content
+      );
+
+      await Promise.all(pending.map((recipient, index) => {
+        const outcome = result.results[index];
+        return this.prisma.campaignRecipient.update({
+          where: { id: recipient.id },
+          data: outcome.success
+            ? { status: 'sent', sentAt: new Date() }
+            : { status: 'failed', error: String(outcome.error).slice(0, 500) }
+        });
+      }));
+    }
+
+    const stats = await this.getDeliveryStats(id);
+    await this.prisma.campaign.update({
+      where: { id },
+      data: { status: 'sent', completedAt: new Date() }
+    });
+
+    console.log(`📣 Campaign ${id} finished: ${stats.sent} sent, ${stats.failed} failed`);
+    return stats;
+  }
+
+  // Start scheduled campaigns that are due and finish interrupted ones
+  async processDue() {
+    const due = await this.prisma.campaign.findMany({
+      where: {
+        OR: [
+          { status: 'scheduled', scheduledAt: { lte: new Date() } },
+          { status: 'sending' }
+        ]
+      },
+      select: { id: true, status: true }
+    });
+
+    for (const campaign of due) {
+      if (campaign.status === 'scheduled') {
+        await this.send(campaign.id);
+      }
+      await this.deliver(campaign.id);
+    }
+    return due.length;
+  }
+}
+
+module.exports = CampaignService;
@@ -0,0 +1,96 @@
+// Human-verification challenges for signups. The browser solves the
+// provider's widget and sends the resulting token with the form;
+// SignupGuardService asks the provider configured by SIGNUP_CHALLENGE (see
+// createChallengeProvider) whether it is valid.
+//
+// Every provider implements:
+//   verify(token, { ip }) -> true when the visitor passed
+// and has a `name` and a public `siteKey` for the browser widget (or null).
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// No challenge: every signup passes
+class NoChallenge {
+  constructor() {
+    this.name = 'none';
+    this.siteKey = null;
+  }
+
+  async verify() {
+    return true;
+  }
+}
+
+// For tests and local development: passes exactly one known token, so both
+// outcomes can be exercised without a network
+class StubChallenge {
+  constructor({ passToken = 'pass' } = {}) {
+    this.name = 'stub';
+    this.siteKey = null;
+    this.passToken = passToken;
+  }
+
+  async verify(token) {
+    return token === this.passToken;
+  }
+}
+
+// Cloudflare Turnstile
+class TurnstileChallenge {
+  constructor({ siteKey, secretKey, timeoutMs = 5000 }) {
+    this.name = 'turnstile';
+    this.siteKey = siteKey;
+    this.secretKey = secretKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async verify(token, { ip } = {}) {
+    if (!token) return false;
+
+    const body = new URLSearchParams({ secret: this.secretKey, response: token });
+    if (ip) body.set('remoteip', ip);
+
+    try {
+      const response = await fetch(TURNSTILE_VERIFY_URL, {
+        method: 'POST',
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      const result = await response.json();
+      return result.success === true;
+    } catch (error) {
+      // Fail closed: an outage shouldn't open the door to scripted signups
+      console.error('❌ Turnstile verification failed:', error.message);
+      return false;
+    }
+  }
+}
+
+// SIGNUP_CHALLENGE = none | stub | turnstile, default none
+function createChallengeProvider(env = process.env) {
+  const type = env.SIGNUP_CHALLENGE || 'none';
+
+  switch (type) {
+    case 'none':
+      return new NoChallenge();
+    case 'stub':
+      return new StubChallenge({ passToken: env.SIGNUP_CHALLENGE_STUB_TOKEN || 'pass' });
+    case 'turnstile':
+      if (!env.TURNSTILE_SITE_KEY || !env.TURNSTILE_SECRET_KEY) {
+        throw new Error('SIGNUP_CHALLENGE=turnstile needs TURNSTILE_SITE_KEY and TURNSTILE_SECRET_KEY');
+      }
+      return new TurnstileChallenge({
+        siteKey: env.TURNSTILE_SITE_KEY,
+        secretKey: env.TURNSTILE_SECRET_KEY
+      });
+    default:
+      throw new Error(`Unknown SIGNUP_CHALLENGE: ${type}`);
+  }
+}
+
+module.exports = {
+  NoChallenge,
+  StubChallenge,
+  TurnstileChallenge,
+  createChallengeProvider
+};
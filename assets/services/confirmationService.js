@@ -0,0 +1,64 @@
+const TOKEN_PURPOSE = 'confirm_email';
+
+class ConfirmationService {
+  constructor(prisma, { tokens, appUrl } = {}) {
+    this.prisma = prisma;
+    this.tokens = tokens;
+    this.appUrl = appUrl;
+    // Unconfirmed signups (and their confirmation links) expire after this long
+    this.ttlHours = parseInt(process.env.PENDING_SIGNUP_TTL_HOURS) || 48;
+  }
+
+  get ttlMs() {
+    return this.ttlHours * 60 * 60 * 1000;
+  }
+
+  getConfirmLink(userId) {
+    const token = this.tokens.sign(TOKEN_PURPOSE, userId, this.ttlMs);
+    return `${this.appUrl}/api/confirm/${token}`;
+  }
+
+  verifyToken(token) {
+    return this.tokens.verify(TOKEN_PURPOSE, token);
+  }
+
+  // Founder number among confirmed users, in confirmation order
+  async getFounderNumber(user) {
+    return this.prisma.user.count({
+      where: { confirmedAt: { not: null, lte: user.confirmedAt } }
+    });
+  }
+
+  // Remember when the latest link went out; the signup expires with it
+  async recordSent(userId) {
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: { confirmationSentAt: new Date() }
+    });
+  }
+
+  // Delete signups that were never confirmed; their responses cascade.
+  // Counted from the latest confirmation link (or from when the form was
+  // sent, if no link was recorded), so a re-sent link or a partial lead who
+  // finishes days after step 1 gets the full TTL. Partial leads expire on
+  // their own schedule (PartialSignupService).
+  async expirePending() {
+    const cutoff = new Date(Date.now() - this.ttlMs);
+    const { count } = await this.prisma.user.deleteMany({
+      where: {
+        confirmedAt: null,
+        OR: [
+          { confirmationSentAt: { lt: cutoff } },
+          { confirmationSentAt: null, submittedAt: { lt: cutoff } }
+        ]
+      }
+    });
+
+    if (count > 0) {
+      console.log(`🧹 Removed ${count} unconfirmed signups older than ${this.ttlHours}h`);
+    }
+    return count;
+  }
+}
+
+module.exports = ConfirmationService;
@@ -0,0 +1,61 @@
+// Throwaway inbox services. Signups from these (or their subdomains) are
+// turned away by SignupGuardService; BLOCKED_EMAIL_DOMAINS adds more.
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com',
+  '10minutemail.net',
+  '1secmail.com',
+  '1secmail.net',
+  '1secmail.org',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailfake.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'fakemail.net',
+  'getairmail.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxkitten.com',
+  'incognitomail.org',
+  'jetable.org',
+  'mail.tm',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailinator.net',
+  'mailnesia.com',
+  'mailpoof.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'nada.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempinbox.com',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'tmpmail.net',
+  'tmpmail.org',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.net',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net'
+];
+
+module.exports = { DISPOSABLE_DOMAINS };
@@ -0,0 +1,184 @@
+const { canonicalEmail } = require('./emailAddresses');
+
+// Users whose addresses reach the same inbox (see emailAddresses.js).
+// New signups can't create these any more, but the waitlist predates
+// users.canonicalEmail: backfill() fills it in where it can, and merge()
+// folds each remaining group of duplicates into one user.
+
+// Who to keep: whoever is furthest along, then the earliest signup
+const STATUS_RANK = { accepted: 0, invited: 1 };
+
+function survivorOrder(a, b) {
+  return (STATUS_RANK[a.status] ?? 2) - (STATUS_RANK[b.status] ?? 2)
+    || Boolean(b.confirmedAt) - Boolean(a.confirmedAt)
+    || Boolean(b.submittedAt) - Boolean(a.submittedAt)
+    || a.createdAt - b.createdAt;
+}
+
+function earliest(dates) {
+  const set = dates.filter(Boolean);
+  return set.length > 0 ? new Date(Math.min(...set)) : null;
+}
+
+class DuplicateUserService {
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  // Set canonicalEmail on users that don't have one yet. Users whose
+  // canonical address is already taken are left for merge(). Returns the
+  // number of users updated.
+  async backfill() {
+    const users = await this.prisma.user.findMany({
+      where: { canonicalEmail: null },
+      select: { id: true, email: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    let updated = 0;
+    for (const user of users) {
+      try {
+        await this.prisma.user.update({
+          where: { id: user.id },
+          data: { canonicalEmail: canonicalEmail(user.email) }
+        });
+        updated++;
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+
+    if (updated > 0) {
+      console.log(`📧 Set canonical emails for ${updated} existing users`);
+    }
+    if (updated < users.length) {
+      console.log(`⚠️  ${users.length - updated} users share an inbox with another user; merge them with POST /api/admin/waitlist/merge-duplicates`);
+    }
+    return updated;
+  }
+
+  // Groups of users with the same canonical address, each as
+  // { canonicalEmail, keep, merge: [users] }
+  async findDuplicates() {
+    const users = await this.prisma.user.findMany({
+      select: {
+        id: true, email: true, status: true, confirmedAt: true, submittedAt: true,
+        referredById: true, createdAt: true
+      }
+    });
+
+    const groups = new Map();
+    users.forEach(user => {
+      const key = canonicalEmail(user.email);
+      groups.set(key, [...(groups.get(key) || []), user]);
+    });
+
+    return [...groups.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([key, group]) => {
+        const [keep, ...merge] = [...group].sort(survivorOrder);
+        return { canonicalEmail: key, keep, merge };
+      });
+  }
+
+  // Fold every duplicate into the user kept for its group: referrals,
+  // survey answers (when the kept user has none), campaign history and the
+  // strictest email preferences move over; the kept user takes the
+  // earliest signup date so nobody loses their place. Dry run by default.
+  async merge({ dryRun = true } = {}) {
+    const groups = await this.findDuplicates();
+    const summarize = group => ({
+      canonicalEmail: group.canonicalEmail,
+      keep: { id: group.keep.id, email: group.keep.email },
+      merged: group.merge.map(user => ({ id: user.id, email: user.email }))
+    });
+
+    if (!dryRun) {
+      for (const group of groups) {
+        await this.mergeGroup(group);
+      }
+    }
+
+    return {
+      dryRun,
+      groups: groups.map(summarize),
+      merged: groups.reduce((total, group) => total + group.merge.length, 0)
+    };
+  }
+
+  async mergeGroup({ canonicalEmail: key, keep, merge }) {
+    const mergeIds = merge.map(user => user.id);
+    const group = [keep, ...merge];
+
+    await this.prisma.$transaction(async (tx) => {
+      // People referred by a duplicate now count for the kept user
+      await tx.user.updateMany({
+        where: { referredById: { in: mergeIds }, id: { not: keep.id } },
+        data: { referredById: keep.id }
+      });
+
+      const referrerIds = [...new Set(group.map(user => user.referredById))]
+        .filter(id => id && id !== keep.id && !mergeIds.includes(id));
+
+      if (!await tx.response.count({ where: { userId: keep.id } })) {
+        const answered = merge.find(user => user.submittedAt);
+        if (answered) {
+          await tx.response.updateMany({ where: { userId: answered.id }, data: { userId: keep.id } });
+        }
+      }
+
+      const deliveries = await tx.campaignRecipient.findMany({ where: { userId: keep.id }, select: { campaignId: true } });
+      await tx.campaignRecipient.updateMany({
+        where: { userId: { in: mergeIds }, campaignId: { notIn: deliveries.map(delivery => delivery.campaignId) } },
+        data: { userId: keep.id }
+      });
+
+      await this.mergePreferences(tx, keep.id, mergeIds);
+
+      await tx.user.deleteMany({ where: { id: { in: mergeIds } } });
+
+      await tx.user.update({
+        where: { id: keep.id },
+        data: {
+          canonicalEmail: key,
+          referredById: group.find(user => referrerIds.includes(user.referredById))?.referredById || null,
+          referralCount: await tx.user.count({ where: { referredById: keep.id, confirmedAt: { not: null } } }),
+          confirmedAt: earliest(group.map(user => user.confirmedAt)),
+          submittedAt: earliest(group.map(user => user.submittedAt)),
+          createdAt: earliest(group.map(user => user.createdAt))
+        }
+      });
+
+      // Referrers credited for more than one of the addresses
+      for (const id of referrerIds) {
+        await tx.user.update({
+          where: { id },
+          data: { referralCount: await tx.user.count({ where: { referredById: id, confirmedAt: { not: null } } }) }
+        });
+      }
+    });
+
+    console.log(`🔀 Merged ${merge.length} duplicate${merge.length === 1 ? '' : 's'} into ${keep.email}`);
+  }
+
+  // An opt-out on any of the addresses still applies
+  async mergePreferences(tx, keepId, mergeIds) {
+    const preferences = await tx.emailPreference.findMany({ where: { userId: { in: [keepId, ...mergeIds] } } });
+    if (preferences.length === 0) return;
+
+    const data = {
+      productUpdates: preferences.every(preference => preference.productUpdates),
+      betaInvites: preferences.every(preference => preference.betaInvites),
+      surveys: preferences.every(preference => preference.surveys),
+      unsubscribedAt: earliest(preferences.map(preference => preference.unsubscribedAt))
+    };
+
+    await tx.emailPreference.upsert({
+      where: { userId: keepId },
+      create: { userId: keepId, ...data },
+      update: data
+    });
+  }
+}
+
+module.exports = DuplicateUserService;
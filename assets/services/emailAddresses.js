@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// One person, one signup: addresses that reach the same inbox share a
+// canonical form, stored in users.canonicalEmail (unique). The address as
+// typed stays in users.email and is what we send to.
+//
+//   canonicalEmail('F.o.o+zintle@GoogleMail.com') -> 'foo@gmail.com'
+
+// Providers that ignore dots in the local part and/or deliver
+// local+anything to local
+const PROVIDER_RULES = {
+  'gmail.com': { ignoreDots: true, plusTags: true },
+  'outlook.com': { plusTags: true },
+  'hotmail.com': { plusTags: true },
+  'live.com': { plusTags: true },
+  'icloud.com': { plusTags: true },
+  'me.com': { plusTags: true },
+  'proton.me': { plusTags: true },
+  'protonmail.com': { plusTags: true },
+  'fastmail.com': { plusTags: true }
+};
+
+// Other names for the same mailbox provider
+const DOMAIN_ALIASES = {
+  'googlemail.com': 'gmail.com'
+};
+
+function canonicalEmail(email) {
+  const address = String(email || '').trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+  if (at < 1) return address;
+
+  let local = address.slice(0, at);
+  let domain = address.slice(at + 1);
+  domain = DOMAIN_ALIASES[domain] || domain;
+
+  const rules = PROVIDER_RULES[domain] || {};
+  if (rules.plusTags) local = local.split('+')[0] || local;
+  if (rules.ignoreDots) local = local.replace(/\./g, '');
+
+  return `${local}@${domain}`;
+}
+
+// The user an address belongs to. Users still waiting for the duplicate
+// merge have no canonicalEmail yet, so fall back to the exact address.
+async function findUserByEmail(client, email) {
+  return await client.user.findUnique({ where: { canonicalEmail: canonicalEmail(email) } })
+    || client.user.findUnique({ where: { email } });
+}
+
+// Stands in for an address in records that must outlive the user, e.g.
+// "already reminded" (see PartialSignupService)
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(canonicalEmail(email)).digest('hex');
+}
+
+module.exports = { canonicalEmail, findUserByEmail, hashEmail };
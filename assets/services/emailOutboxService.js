@@ -0,0 +1,216 @@
+// Transactional emails are written to the outbox and sent by a background
+// worker, so a slow or failing provider never holds up a request. Failed
+// sends are retried with exponential backoff; after `maxAttempts` a message
+// is parked as 'dead' until an admin retries it from the dashboard.
+
+// Outbox type -> EmailService method, called as method(to, payload)
+const SENDERS = {
+  welcome: 'sendWelcomeEmail',
+  confirmation: 'sendConfirmationEmail',
+  privacy_request: 'sendPrivacyRequestEmail',
+  resume_signup: 'sendResumeSignupEmail',
+  beta_invite: 'sendBetaInviteEmail'
+};
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class EmailOutboxService {
+  constructor(prisma, { emailService } = {}) {
+    this.prisma = prisma;
+    this.emailService = emailService;
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+    this.retryBaseMs = (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30) * 1000;
+    this.pollIntervalMs = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 5000;
+    // Resend allows 2 requests per second on the default plan
+    this.sendIntervalMs = 1000 / (parseFloat(process.env.EMAIL_RATE_PER_SECOND) || 2);
+
+    this.timer = null;
+    this.processing = false;
+    this.pausedUntil = 0;
+    this.lastSendAt = 0;
+  }
+
+  static get types() {
+    return Object.keys(SENDERS);
+  }
+
+  static get statuses() {
+    return STATUSES;
+  }
+
+  // Pass `tx` to write the message as part of the caller's transaction; the
+  // caller then calls processQueue() once it has committed.
+  async enqueue(type, to, payload = {}, { userId = null, tx = null } = {}) {
+    if (!SENDERS[type]) {
+      throw new Error(`Unknown outbox email type: ${type}`);
+    }
+
+    const message = await (tx || this.prisma).emailOutbox.create({
+      data: { type, to, payload: JSON.stringify(payload), userId }
+    });
+
+    // Don't wait for the next poll to send it
+    if (!tx) setImmediate(() => this.processQueue());
+    return message;
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    // Anything still 'sending' was interrupted by a restart
+    await this.prisma.emailOutbox.updateMany({
+      where: { status: 'sending' },
+      data: { status: 'pending' }
+    });
+
+    this.timer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+    console.log('📬 Email outbox worker started');
+    this.processQueue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Send every due message, one at a time. Runs are never concurrent.
+  async processQueue() {
+    if (this.processing || Date.now() < this.pausedUntil) return;
+    this.processing = true;
+
+    try {
+      while (Date.now() >= this.pausedUntil) {
+        const message = await this.claimNext();
+        if (!message) break;
+        await this.deliver(message);
+      }
+    } catch (error) {
+      console.error('❌ Email outbox worker error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async claimNext() {
+    const next = await this.prisma.emailOutbox.findFirst({
+      where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: 'asc' }
+    });
+    if (!next) return null;
+
+    const { count } = await this.prisma.emailOutbox.updateMany({
+      where: { id: next.id, status: 'pending' },
+      data: { status: 'sending' }
+    });
+    return count === 1 ? next : null;
+  }
+
+  async deliver(message) {
+    // Stay under the provider's request rate
+    const wait = this.lastSendAt + this.sendIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    this.lastSendAt = Date.now();
+
+    let result;
+    try {
+      const send = this.emailService[SENDERS[message.type]].bind(this.emailService);
+      result = await send(message.to, JSON.parse(message.payload));
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      return this.prisma.emailOutbox.update({
+        where: { id: message.id },
+        data: { status: 'sent', sentAt: new Date(), attempts: message.attempts + 1, lastError: null }
+      });
+    }
+
+    // Rate limited: back off as a whole and try again without counting
+    // it as a failed attempt
+    if (result.rateLimited) {
+      this.pausedUntil = Date.now() + this.retryBaseMs;
+      console.warn(`⏸️  Email provider rate limit hit, pausing the outbox for ${this.retryBaseMs / 1000}s`);
+      return this.prisma.emailOutbox.update({
+        where: { id: message.id },
+        data: { status: 'pending', nextAttemptAt: new Date(this.pausedUntil) }
+      });
+    }
+
+    const attempts = message.attempts + 1;
+    const dead = attempts >= this.maxAttempts;
+    const error = String(result.error).slice(0, 500);
+
+    if (dead) {
+      console.error(`💀 Giving up on ${message.type} email to ${message.to} after ${attempts} attempts:`, error);
+    } else {
+      console.warn(`🔁 ${message.type} email to ${message.to} failed (attempt ${attempts}), retrying later:`, error);
+    }
+
+    return this.prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lastError: error,
+        nextAttemptAt: dead ? message.nextAttemptAt : new Date(Date.now() + this.retryDelayMs(attempts))
+      }
+    });
+  }
+
+  // 30s, 1m, 2m, 4m, ... capped at six hours
+  retryDelayMs(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  async getStats() {
+    const groups = await this.prisma.emailOutbox.groupBy({
+      by: ['status'],
+      _count: { status: true }
+    });
+
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    groups.forEach(group => {
+      counts[group.status] = group._count.status;
+    });
+
+    const oldestPending = await this.prisma.emailOutbox.findFirst({
+      where: { status: 'pending' },
+      orderBy: { createdAt: 'asc' },
+      select: { createdAt: true }
+    });
+
+    const failures = await this.prisma.emailOutbox.findMany({
+      where: { status: 'dead' },
+      orderBy: { updatedAt: 'desc' },
+      take: 10,
+      select: { id: true, type: true, to: true, attempts: true, lastError: true, updatedAt: true }
+    });
+
+    return {
+      counts,
+      depth: counts.pending + counts.sending,
+      oldestPendingAt: oldestPending ? oldestPending.createdAt : null,
+      failures
+    };
+  }
+
+  // Requeue dead messages, all of them or a single one by id
+  async retry(id = null) {
+    const { count } = await this.prisma.emailOutbox.updateMany({
+      where: { status: 'dead', ...(id && { id }) },
+      data: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }
+    });
+
+    if (count > 0) {
+      console.log(`🔁 Requeued ${count} dead emails`);
+      setImmediate(() => this.processQueue());
+    }
+    return count;
+  }
+}
+
+module.exports = EmailOutboxService;
@@ -1,93 +1,214 @@
-const { Resend } = require('resend');
 require('dotenv').config();
+const { createTransport } = require('./emailTransports');
+const { getStrings } = require('./emailStrings');
+const { getDirection, normalizeLocale } = require('./locales');
 
 class EmailService {
-  constructor() {
-    if (process.env.RESEND_API_KEY) {
-      this.resend = new Resend(process.env.RESEND_API_KEY);
-    }
+  // The transport comes from EMAIL_TRANSPORT unless one is passed in
+  // (tests pass a SinkTransport to inspect what was sent)
+  constructor(transport = createTransport()) {
+    this.transport = transport;
     // Use a verified email for development
     this.fromEmail = process.env.FROM_EMAIL || 'onboarding@resend.dev'; // Resend's verified sender
     this.fromName = process.env.FROM_NAME || 'Zintle Team';
-    this.isConfigured = !!process.env.RESEND_API_KEY;
     this.isDevelopment = process.env.NODE_ENV === 'development';
     
-    console.log('📧 Email service initialized:', this.isConfigured ? 'ACTIVE' : 'DEMO MODE');
+    console.log('📧 Email service initialized with transport:', this.transport.name);
     console.log('📧 From email:', this.fromEmail);
   }
 
+  // `locale` on any of the send methods picks the language ('en', 'ar');
+  // English is the fallback
   async sendWelcomeEmail(userEmail, userData = {}) {
-    // If no API key configured, just log and return success for development
-    if (!this.isConfigured) {
-      console.log('📧 WELCOME EMAIL (Demo Mode):');
-      console.log('   To:', userEmail);
-      console.log('   Founder #:', userData.position);
-      console.log('   Skill:', userData.primarySkill);
-      console.log('   Challenge:', userData.biggestChallenge);
-      console.log('   Interest:', userData.interestLevel + '/5');
-      return { success: true, message: 'Email logged (demo mode)' };
-    }
+    return this.sendTransactional({
+      to: [userEmail],
+      subject: getStrings(userData.locale).welcome.subject,
+      html: this.generateWelcomeEmailHTML(userData),
+      text: this.generateWelcomeEmailText(userData),
+      headers: this.getUnsubscribeHeaders(userData.unsubscribe)
+    }, 'Welcome email');
+  }
 
-    try {
-      const emailData = {
-        from: this.isDevelopment 
-          ? 'onboarding@resend.dev'  // Use Resend's verified sender for dev
-          : `${this.fromName} <${this.fromEmail}>`,
-        to: [userEmail],
-        subject: '🚀 Welcome to Zintle\'s Private Beta!',
-        html: this.generateWelcomeEmailHTML(userData),
-        text: this.generateWelcomeEmailText(userData)
-      };
-
-      console.log('📧 Sending email with data:', {
-        from: emailData.from,
-        to: emailData.to,
-        subject: emailData.subject
-      });
+  async sendConfirmationEmail(userEmail, { confirmLink, expiresInHours, locale } = {}) {
+    const strings = getStrings(locale).confirmation;
+    const email = {
+      subject: strings.subject,
+      title: strings.title,
+      intro: strings.intro,
+      buttonLabel: strings.buttonLabel,
+      link: confirmLink,
+      note: strings.note(expiresInHours),
+      locale
+    };
 
-      const { data, error } = await this.resend.emails.send(emailData);
+    return this.sendTransactional({
+      to: [userEmail],
+      subject: email.subject,
+      html: this.generateActionEmailHTML(email),
+      text: this.generateActionEmailText(email)
+    }, 'Confirmation email');
+  }
 
-      if (error) {
-        console.error('❌ Resend error:', error);
-        
-        // If domain not verified, try with onboarding@resend.dev
-        if (error.message?.includes('domain is not verified')) {
-          console.log('🔄 Retrying with Resend\'s verified sender...');
-          
-          const retryData = {
-            ...emailData,
-            from: 'onboarding@resend.dev'
-          };
-          
-          const { data: retryResult, error: retryError } = await this.resend.emails.send(retryData);
-          
-          if (retryError) {
-            return { success: false, error: retryError.message || retryError };
-          }
-          
-          console.log(`✅ Welcome email sent to ${userEmail} (via Resend sender)`);
-          return { success: true, data: retryResult };
-        }
-        
-        return { success: false, error: error.message || error };
-      }
+  async sendBetaInviteEmail(userEmail, { code, inviteLink, expiresAt, unsubscribe, locale } = {}) {
+    const strings = getStrings(locale).invite;
+    const email = {
+      subject: strings.subject,
+      title: strings.title,
+      intro: strings.intro,
+      highlight: code,
+      buttonLabel: strings.buttonLabel,
+      link: inviteLink,
+      note: strings.note(new Date(expiresAt)),
+      unsubscribe,
+      locale
+    };
+
+    return this.sendTransactional({
+      to: [userEmail],
+      subject: email.subject,
+      html: this.generateActionEmailHTML(email),
+      text: this.generateActionEmailText(email),
+      headers: this.getUnsubscribeHeaders(unsubscribe)
+    }, 'Beta invite email');
+  }
+
+  // Verification link for a self-service data export or deletion request
+  async sendPrivacyRequestEmail(userEmail, { type, link, expiresInHours, locale } = {}) {
+    const strings = getStrings(locale);
+    const email = {
+      ...(type === 'export' ? strings.privacyExport : strings.privacyDelete),
+      link,
+      note: strings.privacyNote(expiresInHours),
+      locale
+    };
+
+    return this.sendTransactional({
+      to: [userEmail],
+      subject: email.subject,
+      html: this.generateActionEmailHTML(email),
+      text: this.generateActionEmailText(email)
+    }, `Data ${type} email`);
+  }
 
-      console.log(`✅ Welcome email sent to ${userEmail}`);
-      return { success: true, data };
-    } catch (error) {
-      console.error('❌ Email sending failed:', error.message);
-      return { success: false, error: error.message };
+  // One-off reminder for a partial lead, linking back to step 2 of the form
+  async sendResumeSignupEmail(userEmail, { resumeLink, unsubscribe, locale } = {}) {
+    const strings = getStrings(locale).resumeSignup;
+    const email = {
+      subject: strings.subject,
+      title: strings.title,
+      intro: strings.intro,
+      buttonLabel: strings.buttonLabel,
+      link: resumeLink,
+      note: strings.note,
+      unsubscribe,
+      locale
+    };
+
+    return this.sendTransactional({
+      to: [userEmail],
+      subject: email.subject,
+      html: this.generateActionEmailHTML(email),
+      text: this.generateActionEmailText(email),
+      headers: this.getUnsubscribeHeaders(unsubscribe)
+    }, 'Resume signup email');
+  }
+
+  // RFC 8058 one-click unsubscribe headers. `unsubscribe` comes from
+  // PreferenceService.getUnsubscribeLinks().
+  getUnsubscribeHeaders(unsubscribe) {
+    if (!unsubscribe) return undefined;
+
+    return {
+      'List-Unsubscribe': `<${unsubscribe.oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  // Shared delivery for one-to-one emails
+  async sendTransactional(message, label = 'Email') {
+    const recipient = message.to.join(', ');
+    const emailData = {
+      from: `${this.fromName} <${this.fromEmail}>`,
+      ...message
+    };
+
+    console.log('📧 Sending email with data:', {
+      from: emailData.from,
+      to: emailData.to,
+      subject: emailData.subject
+    });
+
+    const result = await this.transport.send(emailData);
+    if (result.success) {
+      console.log(`✅ ${label} sent to ${recipient}`);
     }
+    return result;
+  }
+
+  // Single call-to-action layout shared by confirmation, privacy and invite
+  // emails. `highlight` is an optional code shown in a box above the button.
+  generateActionEmailHTML({ title, intro, highlight, buttonLabel, link, note, unsubscribe, locale }) {
+    const strings = getStrings(locale);
+    return `
+    <div dir="${getDirection(locale)}" lang="${normalizeLocale(locale)}" style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #080808; color: #e5e5e5;">
+      <div style="background: linear-gradient(135deg, #111 0%, #1a1a1a 100%); padding: 40px; border-radius: 20px; border: 1px solid #333; text-align: center;">
+        <div style="font-size: 28px; font-weight: 700; color: #07ff88; margin-bottom: 24px;">
+          Zintle
+        </div>
+        <h2 style="color: #e5e5e5; margin-bottom: 16px; font-size: 24px;">${title}</h2>
+        <p style="line-height: 1.7; color: #b4b4b4; font-size: 16px; margin-bottom: 32px;">
+          ${intro}
+        </p>
+        ${highlight ? `
+        <div style="font-family: 'JetBrains Mono', monospace; font-size: 24px; font-weight: 700; letter-spacing: 2px; color: #07ff88; background: rgba(7, 255, 136, 0.08); border: 1px solid rgba(7, 255, 136, 0.3); border-radius: 12px; padding: 16px; margin-bottom: 32px;">
+          ${highlight}
+        </div>
+        ` : ''}
+        <a href="${link}" style="display: inline-block; background: linear-gradient(135deg, #3533cd, #5d5be3); color: #fff; padding: 16px 32px; text-decoration: none; border-radius: 12px; font-weight: 700; font-size: 16px;">
+          ${buttonLabel} ${strings.arrow}
+        </a>
+        <p style="color: #888; font-size: 13px; margin-top: 32px;">
+          ${note}
+        </p>
+        <div style="margin-top: 40px; border-top: 1px solid #333; padding-top: 24px;">
+          <p style="color: #888; font-size: 14px; margin: 0;">${strings.copyright}</p>
+          ${unsubscribe ? `
+          <p style="color: #888; font-size: 12px; margin: 12px 0 0;">
+            <a href="${unsubscribe.pageUrl}" style="color: #888;">${strings.managePreferences}</a>
+          </p>
+          ` : ''}
+        </div>
+      </div>
+    </div>
+    `;
+  }
+
+  generateActionEmailText({ subject, intro, highlight, link, note, unsubscribe, locale }) {
+    const strings = getStrings(locale);
+    return `
+${subject}
+
+${intro}
+${highlight ? `\n${highlight}\n` : ''}
+${link}
+
+${note}
+
+${strings.copyrightText}
+${unsubscribe ? `${strings.managePreferences}: ${unsubscribe.pageUrl}` : ''}
+    `;
   }
 
   generateWelcomeEmailHTML(userData) {
+    const strings = getStrings(userData.locale);
+    const copy = strings.welcome;
     return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${normalizeLocale(userData.locale)}" dir="${getDirection(userData.locale)}">
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Welcome to Zintle</title>
+      <title>${copy.htmlTitle}</title>
       <style>
         @font-face {
           font-family: "Brasika Display";
@@ -362,6 +483,38 @@ class EmailService {
           color: #e5e5e5;
           font-weight: 600;
         }
+        .referral-box {
+          background: rgba(7, 255, 136, 0.08);
+          border: 1px solid rgba(7, 255, 136, 0.3);
+          border-radius: 12px;
+          padding: 20px;
+          margin: 24px 0;
+          text-align: center;
+        }
+        .referral-box h4 {
+          color: #07ff88;
+          font-weight: 700;
+          margin-bottom: 8px;
+        }
+        .referral-text {
+          font-size: 14px;
+          color: #b4b4b4;
+          margin-bottom: 12px;
+        }
+        .referral-link {
+          display: block;
+          color: #07ff88;
+          font-weight: 600;
+          word-break: break-all;
+        }
+        /* Right-to-left locales (Arabic) */
+        [dir="rtl"] .benefit-icon {
+          margin-right: 0;
+          margin-left: 16px;
+        }
+        [dir="rtl"] .referral-link {
+          direction: ltr;
+        }
       </style>
     </head>
     <body>
@@ -370,101 +523,87 @@ class EmailService {
           <div class="logo-container">
             <img src="https://your-domain.com/assets/img/logo-web.svg" alt="Zintle" class="logo">
             <div class="brand-name">Zintle</div>
-            <div class="tagline">Skills Without Borders</div>
+            <div class="tagline">${copy.tagline}</div>
           </div>
         </div>
         
         <div class="email-body">
-          <h1 class="welcome-title">Welcome to the Future!</h1>
+          <h1 class="welcome-title">${copy.heading}</h1>
           
           <div class="founder-badge">
-            🎉 You're Founder #${userData.position || 'XX'}
+            ${copy.founderBadge(userData.position || 'XX')}
           </div>
           
-          ${this.isDevelopment ? `
+          ${this.isDevelopment && this.transport.name === 'resend' ? `
           <div class="dev-notice">
             📧 Development Mode: This email was sent using Resend's test environment
           </div>
           ` : ''}
           
-          <p class="greeting">Hey there, creative innovator! 👋</p>
+          <p class="greeting">${copy.greeting}</p>
           
           <p class="main-text">
-            You've just secured your spot in <strong>Egypt's first AI-powered skill-swapping marketplace</strong>. 
-            You're not just early; you're <strong>foundational</strong>. Your insights will directly shape how 
-            creative work gets done in Egypt and beyond.
+            ${copy.mainHtml}
           </p>
 
-          ${userData.primarySkill || userData.biggestChallenge || userData.interestLevel ? `
+          ${userData.profile && userData.profile.length > 0 ? `
           <div class="profile-info">
-            <h4>Your Founder Profile</h4>
-            ${userData.primarySkill ? `
+            <h4>${copy.profileTitle}</h4>
+            ${userData.profile.map(item => `
             <div class="profile-item">
-              <span class="profile-label">Primary Skill:</span>
-              <span class="profile-value">${this.formatSkill(userData.primarySkill)}</span>
+              <span class="profile-label">${item.label}:</span>
+              <span class="profile-value">${item.value}</span>
             </div>
-            ` : ''}
-            ${userData.biggestChallenge ? `
-            <div class="profile-item">
-              <span class="profile-label">Main Challenge:</span>
-              <span class="profile-value">${this.formatChallenge(userData.biggestChallenge)}</span>
-            </div>
-            ` : ''}
-            ${userData.interestLevel ? `
-            <div class="profile-item">
-              <span class="profile-label">Interest Level:</span>
-              <span class="profile-value">${userData.interestLevel}/5 ⭐</span>
-            </div>
-            ` : ''}
+            `).join('')}
           </div>
           ` : ''}
 
-          <div class="benefits-section">
-            <h3 class="benefits-title">What's Next for You</h3>
-
-            <div class="benefit">
-              <div class="benefit-icon">⚡</div>
-              <div class="benefit-content">
-                <div class="benefit-title">First Access to Beta</div>
-                <div class="benefit-desc">Experience Zintle before anyone else when we launch. Shape the platform with your feedback.</div>
-              </div>
-            </div>
-
-            <div class="benefit">
-              <div class="benefit-icon">🎁</div>
-              <div class="benefit-content">
-                <div class="benefit-title">100 Free Credits</div>
-                <div class="benefit-desc">Start trading skills immediately with no barriers. No Egyptian pounds required.</div>
-              </div>
-            </div>
+          ${userData.referralLink ? `
+          <div class="referral-box">
+            <h4>${copy.referralTitle}</h4>
+            <p class="referral-text">
+              ${copy.referralText}
+            </p>
+            <a href="${userData.referralLink}" class="referral-link">${userData.referralLink}</a>
+          </div>
+          ` : ''}
 
+          <div class="benefits-section">
+            <h3 class="benefits-title">${copy.benefitsTitle}</h3>
+            ${copy.benefits.map(benefit => `
             <div class="benefit">
-              <div class="benefit-icon">👑</div>
+              <div class="benefit-icon">${benefit.icon}</div>
               <div class="benefit-content">
-                <div class="benefit-title">Lifetime Founder Status</div>
-                <div class="benefit-desc">Permanent recognition in our community with exclusive founder badge and benefits.</div>
+                <div class="benefit-title">${benefit.title}</div>
+                <div class="benefit-desc">${benefit.desc}</div>
               </div>
             </div>
+            `).join('')}
           </div>
 
           <div class="cta-section">
             <p class="cta-text">
-              Follow our journey and be the first to know about major updates, 
-              exclusive previews, and beta launch announcements.
+              ${copy.ctaText}
             </p>
             <a href="https://www.instagram.com/zintleco/" class="cta-button">
-              Follow Our Journey →
+              ${copy.ctaButton}
             </a>
           </div>
         </div>
 
         <div class="footer">
-          <div class="footer-brand">Skills without borders. Growth without limits.</div>
+          <div class="footer-brand">${copy.footerBrand}</div>
           <div class="social-links">
             <a href="https://www.instagram.com/zintleco/" class="social-link">Instagram</a>
-            <a href="mailto:hello@zintle.co" class="social-link">Contact Us</a>
+            <a href="mailto:hello@zintle.co" class="social-link">${copy.contactLink}</a>
           </div>
-          <div class="footer-text">© 2025 Zintle — Made in Egypt</div>
+          <div class="footer-text">${strings.copyright}</div>
+          ${userData.unsubscribe ? `
+          <div class="footer-text">
+            ${strings.receivingReason}
+            <a href="${userData.unsubscribe.pageUrl}" style="color: #888;">${strings.managePreferences}</a>
+          </div>
+          ` : ''}
         </div>
       </div>
     </body>
@@ -473,114 +612,94 @@ class EmailService {
   }
 
   generateWelcomeEmailText(userData) {
+    const strings = getStrings(userData.locale);
+    const copy = strings.welcome;
     return `
-Welcome to Zintle's Private Beta!
-
-Hey there, creative innovator! 👋
+${copy.textTitle}
 
-You've just secured your spot in Egypt's first AI-powered skill-swapping marketplace. You're Founder #${userData.position || 'XX'} in our founding community!
+${copy.greeting}
 
-Your Profile:
-• Primary Skill: ${this.formatSkill(userData.primarySkill)}
-• Biggest Challenge: ${this.formatChallenge(userData.biggestChallenge)}
-• Interest Level: ${userData.interestLevel || 'N/A'}/5
+${copy.mainText(userData.position || 'XX')}
 
-What's Next:
-⚡ First Access to Beta - Experience Zintle before anyone else
-🎁 100 Free Credits - Start trading skills immediately  
-👑 Lifetime Founder Status - Permanent community recognition
-🚀 Direct Impact - Your feedback shapes our development
+${copy.profileTextTitle}
+${(userData.profile || []).map(item => `• ${item.label}: ${item.value}`).join('\n')}
+${userData.referralLink ? `
+${copy.referralTextPlain}
+${userData.referralLink}
+` : ''}
+${copy.nextTextTitle}
+${copy.nextText.join('\n')}
 
-We'll keep you updated on our progress and reach out for exclusive feedback sessions.
+${copy.keepUpdated}
 
-Follow our journey: https://www.instagram.com/zintleco/
-Contact us: hello@zintle.co
+${copy.followText}: https://www.instagram.com/zintleco/
+${copy.contactText}: hello@zintle.co
 
-Skills without borders. Growth without limits.
-- The Zintle Team
+${copy.footerBrand}
+${copy.signoff}
 
-© 2025 Zintle. Made in Egypt.
-You're receiving this because you joined our private beta waitlist.
+${strings.copyrightText}
+${strings.receivingReason}
+${userData.unsubscribe ? `${strings.manageOrUnsubscribeText}: ${userData.unsubscribe.pageUrl}` : ''}
     `;
   }
 
-  formatSkill(skill) {
-    const skillMap = {
-      'design': 'Graphic Design',
-      'development': 'Web Development', 
-      'photography': 'Photography',
-      'writing': 'Content Writing',
-      'marketing': 'Digital Marketing',
-      'video': 'Video Production',
-      'other': 'Other'
-    };
-    return skillMap[skill] || skill || 'Not specified';
-  }
-
-  formatChallenge(challenge) {
-    const challengeMap = {
-      'payment_delays': 'Payment Delays',
-      'finding_clients': 'Finding Clients',
-      'pricing_services': 'Pricing Services', 
-      'skill_gaps': 'Skill Gaps'
-    };
-    return challengeMap[challenge] || challenge || 'Not specified';
-  }
-
-  // Method for future progress updates
-  async sendProgressUpdate(emails, subject, content) {
-    if (!this.isConfigured) {
-      console.log('📧 Progress update would be sent to:', emails.length, 'recipients');
-      return { success: true, sent: emails.length };
-    }
+  // Method for future progress updates. Each recipient is either an email
+  // address or { email, unsubscribe, locale } so every message can carry its
+  // own unsubscribe link, headers and footer language.
+  async sendProgressUpdate(recipients, subject, content) {
+    const messages = recipients.map(recipient =>
+      typeof recipient === 'string' ? { email: recipient } : recipient
+    );
 
     const results = [];
     const batchSize = 50; // Conservative batch size for Resend
 
-    for (let i = 0; i < emails.length; i += batchSize) {
-      const batch = emails.slice(i, i + batchSize);
+    for (let i = 0; i < messages.length; i += batchSize) {
+      const batch = messages.slice(i, i + batchSize);
       
-      try {
-        const { data, error } = await this.resend.emails.send({
-          from: `${this.fromName} <${this.fromEmail}>`,
-          to: batch,
-          subject: subject,
-          html: this.generateUpdateHTML(subject, content),
-          text: content.replace(/<[^>]*>/g, '') // Strip HTML for text version
-        });
-
-        if (error) {
-          console.error('Batch send error:', error);
-          results.push(...batch.map(email => ({ email, success: false, error: error.message })));
-        } else {
-          console.log('Batch sent successfully to', batch.length, 'recipients');
-          results.push(...batch.map(email => ({ email, success: true })));
-        }
-      } catch (error) {
-        console.error('Batch send failed:', error);
-        results.push(...batch.map(email => ({ email, success: false, error: error.message })));
-      }
+      const batchResults = await this.transport.sendBatch(batch.map(({ email, unsubscribe, locale }) => ({
+        from: `${this.fromName} <${this.fromEmail}>`,
+        to: [email],
+        subject: subject,
+        html: this.generateUpdateHTML(subject, content, unsubscribe, locale),
+        text: this.generateUpdateText(content, unsubscribe, locale),
+        headers: this.getUnsubscribeHeaders(unsubscribe)
+      })));
+
+      batchResults.forEach((result, index) => {
+        results.push({ email: batch[index].email, success: result.success, error: result.error });
+      });
+      console.log('Batch sent:', batchResults.filter(r => r.success).length, 'of', batch.length, 'recipients');
 
       // Add delay between batches to respect rate limits
-      if (i + batchSize < emails.length) {
+      if (i + batchSize < messages.length) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
 
     const successful = results.filter(r => r.success).length;
-    return { success: true, sent: successful, total: emails.length, results };
+    return { success: true, sent: successful, total: messages.length, results };
+  }
+
+  generateUpdateText(content, unsubscribe, locale) {
+    const text = content.replace(/<[^>]*>/g, ''); // Strip HTML for text version
+    return unsubscribe
+      ? `${text}\n\n---\n${getStrings(locale).manageOrUnsubscribeText}: ${unsubscribe.pageUrl}`
+      : text;
   }
 
-  generateUpdateHTML(subject, content) {
+  generateUpdateHTML(subject, content, unsubscribe, locale) {
+    const strings = getStrings(locale);
     return `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #080808; color: #e5e5e5;">
+    <div dir="${getDirection(locale)}" lang="${normalizeLocale(locale)}" style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #080808; color: #e5e5e5;">
       <div style="background: linear-gradient(135deg, #111 0%, #1a1a1a 100%); padding: 40px; border-radius: 20px; border: 1px solid #333;">
         <div style="text-align: center; margin-bottom: 32px;">
           <div style="font-size: 28px; font-weight: 700; color: #07ff88; margin-bottom: 8px;">
             Zintle
           </div>
           <div style="font-size: 14px; color: #00d4ff; text-transform: uppercase; letter-spacing: 1px;">
-            Progress Update
+            ${strings.progressUpdate}
           </div>
         </div>
         <h2 style="color: #e5e5e5; margin-bottom: 24px; font-size: 24px;">${subject}</h2>
@@ -588,7 +707,13 @@ You're receiving this because you joined our private beta waitlist.
           ${content}
         </div>
         <div style="margin-top: 40px; text-align: center; border-top: 1px solid #333; padding-top: 24px;">
-          <p style="color: #888; font-size: 14px; margin: 0;">© 2025 Zintle — Made in Egypt</p>
+          <p style="color: #888; font-size: 14px; margin: 0;">${strings.copyright}</p>
+          ${unsubscribe ? `
+          <p style="color: #888; font-size: 12px; margin: 12px 0 0;">
+            ${strings.receivingReason}
+            <a href="${unsubscribe.pageUrl}" style="color: #888;">${strings.unsubscribeOrManage}</a>
+          </p>
+          ` : ''}
         </div>
       </div>
     </div>
@@ -0,0 +1,207 @@
+const { DEFAULT_LOCALE, normalizeLocale } = require('./locales');
+
+// Copy for every email EmailService renders, per locale. English is
+// complete and is the fallback for anything a translation leaves out.
+// Entries that take arguments are functions.
+
+const STRINGS = {
+  en: {
+    copyright: '© 2025 Zintle — Made in Egypt',
+    copyrightText: '© 2025 Zintle. Made in Egypt.',
+    receivingReason: 'You\'re receiving this because you joined our private beta waitlist.',
+    managePreferences: 'Manage email preferences',
+    unsubscribeOrManage: 'Unsubscribe or manage preferences',
+    manageOrUnsubscribeText: 'Manage email preferences or unsubscribe',
+    progressUpdate: 'Progress Update',
+    arrow: '→',
+
+    welcome: {
+      subject: '🚀 Welcome to Zintle\'s Private Beta!',
+      htmlTitle: 'Welcome to Zintle',
+      tagline: 'Skills Without Borders',
+      heading: 'Welcome to the Future!',
+      founderBadge: (position) => `🎉 You're Founder #${position}`,
+      greeting: 'Hey there, creative innovator! 👋',
+      mainHtml: `You've just secured your spot in <strong>Egypt's first AI-powered skill-swapping marketplace</strong>.
+            You're not just early; you're <strong>foundational</strong>. Your insights will directly shape how
+            creative work gets done in Egypt and beyond.`,
+      textTitle: 'Welcome to Zintle\'s Private Beta!',
+      mainText: (position) => `You've just secured your spot in Egypt's first AI-powered skill-swapping marketplace. You're Founder #${position} in our founding community!`,
+      profileTitle: 'Your Founder Profile',
+      profileTextTitle: 'Your Profile:',
+      referralTitle: 'Move Up the Queue',
+      referralText: 'Share your personal link. Every creator who joins through it moves you closer to the front of the line.',
+      referralTextPlain: 'Move up the queue: share your personal link. Every creator who joins through it moves you closer to the front of the line.',
+      benefitsTitle: 'What\'s Next for You',
+      benefits: [
+        { icon: '⚡', title: 'First Access to Beta', desc: 'Experience Zintle before anyone else when we launch. Shape the platform with your feedback.' },
+        { icon: '🎁', title: '100 Free Credits', desc: 'Start trading skills immediately with no barriers. No Egyptian pounds required.' },
+        { icon: '👑', title: 'Lifetime Founder Status', desc: 'Permanent recognition in our community with exclusive founder badge and benefits.' }
+      ],
+      nextTextTitle: 'What\'s Next:',
+      nextText: [
+        '⚡ First Access to Beta - Experience Zintle before anyone else',
+        '🎁 100 Free Credits - Start trading skills immediately',
+        '👑 Lifetime Founder Status - Permanent community recognition',
+        '🚀 Direct Impact - Your feedback shapes our development'
+      ],
+      keepUpdated: 'We\'ll keep you updated on our progress and reach out for exclusive feedback sessions.',
+      ctaText: `Follow our journey and be the first to know about major updates,
+              exclusive previews, and beta launch announcements.`,
+      ctaButton: 'Follow Our Journey →',
+      followText: 'Follow our journey',
+      contactText: 'Contact us',
+      contactLink: 'Contact Us',
+      footerBrand: 'Skills without borders. Growth without limits.',
+      signoff: '- The Zintle Team'
+    },
+
+    confirmation: {
+      subject: 'Confirm your spot on the Zintle waitlist',
+      title: 'One last step',
+      intro: 'Confirm your email to lock in your spot in Zintle\'s private beta.',
+      buttonLabel: 'Confirm my spot',
+      note: (hours) => `This link expires in ${hours} hours. If you didn't sign up, you can ignore this email.`
+    },
+
+    invite: {
+      subject: '🎟️ You\'re invited to the Zintle private beta',
+      title: 'Your beta spot is ready',
+      intro: 'You made it to the front of the line. Here is your one-time access code for Zintle\'s private beta:',
+      buttonLabel: 'Accept my invitation',
+      note: (date) => `This invitation expires on ${date.toDateString()}. After that your spot goes to the next creator in line.`
+    },
+
+    privacyExport: {
+      subject: 'Your Zintle data export',
+      title: 'Download your data',
+      intro: 'You asked for a copy of the data Zintle holds about you. Use the button below to download it as JSON.',
+      buttonLabel: 'Download my data'
+    },
+
+    privacyDelete: {
+      subject: 'Confirm deletion of your Zintle data',
+      title: 'Delete your data',
+      intro: 'You asked us to delete your Zintle waitlist account and survey answers. This cannot be undone.',
+      buttonLabel: 'Review and delete'
+    },
+
+    privacyNote: (hours) => `This link expires in ${hours} hours. If you didn't make this request, you can ignore this email.`,
+
+    resumeSignup: {
+      subject: 'Your spot on the Zintle waitlist is still open',
+      title: 'Finish joining Zintle',
+      intro: 'You started signing up for Zintle\'s private beta but didn\'t get to the last step. It takes less than a minute to finish.',
+      buttonLabel: 'Finish my signup',
+      note: 'This is the only reminder we\'ll send. If you didn\'t start signing up, you can ignore this email.'
+    }
+  },
+
+  ar: {
+    copyright: '© 2025 زينتل — صُنع في مصر',
+    copyrightText: '© 2025 زينتل. صُنع في مصر.',
+    receivingReason: 'وصلتك هذه الرسالة لأنك انضممت إلى قائمة انتظار النسخة التجريبية الخاصة.',
+    managePreferences: 'إدارة تفضيلات البريد',
+    unsubscribeOrManage: 'إلغاء الاشتراك أو إدارة التفضيلات',
+    manageOrUnsubscribeText: 'إدارة تفضيلات البريد أو إلغاء الاشتراك',
+    progressUpdate: 'آخر المستجدات',
+    arrow: '←',
+
+    welcome: {
+      subject: '🚀 أهلاً بك في النسخة التجريبية الخاصة من زينتل!',
+      htmlTitle: 'أهلاً بك في زينتل',
+      tagline: 'مهارات بلا حدود',
+      heading: 'أهلاً بك في المستقبل!',
+      founderBadge: (position) => `🎉 أنت المؤسس رقم ${position}`,
+      greeting: 'أهلاً يا مبدع! 👋',
+      mainHtml: `لقد حجزت مكانك في <strong>أول سوق في مصر لتبادل المهارات مدعوم بالذكاء الاصطناعي</strong>.
+            أنت لست مجرد منضم مبكر، بل أنت <strong>من المؤسسين</strong>. آراؤك ستشكّل مباشرةً طريقة
+            إنجاز العمل الإبداعي في مصر وخارجها.`,
+      textTitle: 'أهلاً بك في النسخة التجريبية الخاصة من زينتل!',
+      mainText: (position) => `لقد حجزت مكانك في أول سوق في مصر لتبادل المهارات مدعوم بالذكاء الاصطناعي. أنت المؤسس رقم ${position} في مجتمعنا المؤسس!`,
+      profileTitle: 'ملفك كمؤسس',
+      profileTextTitle: 'ملفك:',
+      referralTitle: 'تقدّم في الطابور',
+      referralText: 'شارك رابطك الشخصي. كل مبدع ينضم من خلاله يقرّبك من مقدمة الطابور.',
+      referralTextPlain: 'تقدّم في الطابور: شارك رابطك الشخصي. كل مبدع ينضم من خلاله يقرّبك من مقدمة الطابور.',
+      benefitsTitle: 'ما الذي ينتظرك',
+      benefits: [
+        { icon: '⚡', title: 'وصول أول إلى النسخة التجريبية', desc: 'جرّب زينتل قبل الجميع عند الإطلاق، وساهم بآرائك في تشكيل المنصة.' },
+        { icon: '🎁', title: '100 رصيد مجاني', desc: 'ابدأ تبادل المهارات فوراً ودون أي عوائق. لا حاجة إلى جنيهات مصرية.' },
+        { icon: '👑', title: 'لقب مؤسس مدى الحياة', desc: 'تقدير دائم في مجتمعنا مع شارة مؤسس حصرية ومزايا خاصة.' }
+      ],
+      nextTextTitle: 'ما الذي ينتظرك:',
+      nextText: [
+        '⚡ وصول أول إلى النسخة التجريبية - جرّب زينتل قبل الجميع',
+        '🎁 100 رصيد مجاني - ابدأ تبادل المهارات فوراً',
+        '👑 لقب مؤسس مدى الحياة - تقدير دائم في المجتمع',
+        '🚀 تأثير مباشر - آراؤك تشكّل تطويرنا'
+      ],
+      keepUpdated: 'سنبقيك على اطلاع بتقدّمنا وسنتواصل معك لجلسات آراء حصرية.',
+      ctaText: `تابع رحلتنا وكن أول من يعرف بالتحديثات الكبرى
+              والمعاينات الحصرية وإعلانات إطلاق النسخة التجريبية.`,
+      ctaButton: 'تابع رحلتنا ←',
+      followText: 'تابع رحلتنا',
+      contactText: 'تواصل معنا',
+      contactLink: 'تواصل معنا',
+      footerBrand: 'مهارات بلا حدود. نمو بلا حدود.',
+      signoff: '- فريق زينتل'
+    },
+
+    confirmation: {
+      subject: 'أكّد مكانك في قائمة انتظار زينتل',
+      title: 'خطوة أخيرة',
+      intro: 'أكّد بريدك الإلكتروني لتثبيت مكانك في النسخة التجريبية الخاصة من زينتل.',
+      buttonLabel: 'أكّد مكاني',
+      note: (hours) => `تنتهي صلاحية هذا الرابط خلال ${hours} ساعة. إذا لم تسجّل، يمكنك تجاهل هذه الرسالة.`
+    },
+
+    invite: {
+      subject: '🎟️ أنت مدعو إلى النسخة التجريبية الخاصة من زينتل',
+      title: 'مكانك في النسخة التجريبية جاهز',
+      intro: 'لقد وصلت إلى مقدمة الطابور. إليك رمز الدخول الخاص بك لمرة واحدة إلى النسخة التجريبية الخاصة من زينتل:',
+      buttonLabel: 'اقبل الدعوة',
+      note: (date) => `تنتهي صلاحية هذه الدعوة في ${date.toLocaleDateString('ar-EG', { dateStyle: 'long' })}. بعد ذلك يذهب مكانك إلى المبدع التالي في الطابور.`
+    },
+
+    privacyExport: {
+      subject: 'نسخة من بياناتك في زينتل',
+      title: 'نزّل بياناتك',
+      intro: 'طلبت نسخة من البيانات التي تحتفظ بها زينتل عنك. استخدم الزر أدناه لتنزيلها بصيغة JSON.',
+      buttonLabel: 'نزّل بياناتي'
+    },
+
+    privacyDelete: {
+      subject: 'أكّد حذف بياناتك في زينتل',
+      title: 'احذف بياناتك',
+      intro: 'طلبت منا حذف حسابك في قائمة انتظار زينتل وإجاباتك على الاستبيان. لا يمكن التراجع عن ذلك.',
+      buttonLabel: 'المراجعة والحذف'
+    },
+
+    privacyNote: (hours) => `تنتهي صلاحية هذا الرابط خلال ${hours} ساعة. إذا لم تقدّم هذا الطلب، يمكنك تجاهل هذه الرسالة.`,
+
+    resumeSignup: {
+      subject: 'مكانك في قائمة انتظار زينتل ما زال متاحاً',
+      title: 'أكمل انضمامك إلى زينتل',
+      intro: 'بدأت التسجيل في النسخة التجريبية الخاصة من زينتل لكنك لم تصل إلى الخطوة الأخيرة. إكمال التسجيل يستغرق أقل من دقيقة.',
+      buttonLabel: 'أكمل تسجيلي',
+      note: 'هذا هو التذكير الوحيد الذي سنرسله. إذا لم تبدأ التسجيل، يمكنك تجاهل هذه الرسالة.'
+    }
+  }
+};
+
+// Strings for a locale, falling back to English key by key
+function getStrings(locale) {
+  const strings = STRINGS[normalizeLocale(locale)];
+  const fallback = STRINGS[DEFAULT_LOCALE];
+  const merged = { ...fallback, ...strings };
+
+  for (const [key, value] of Object.entries(fallback)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = { ...value, ...(strings[key] || {}) };
+    }
+  }
+  return merged;
+}
+
+module.exports = { getStrings };
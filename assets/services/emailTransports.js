@@ -0,0 +1,214 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+
+// Email transports. EmailService renders messages and hands them to one of
+// these; which one is picked by EMAIL_TRANSPORT (see createTransport).
+//
+// Every transport implements:
+//   send(message)       -> { success, data } or { success: false, error, rateLimited }
+//   sendBatch(messages) -> one such result per message, in order
+// where message is { from, to: [address], subject, html, text, headers }.
+
+// Resend's shared sender, usable before our own domain is verified
+const RESEND_FALLBACK_SENDER = 'onboarding@resend.dev';
+
+function toFailure(error) {
+  return {
+    success: false,
+    error: error.message || error,
+    // Lets the outbox worker slow down instead of counting a failed attempt
+    rateLimited: error.name === 'rate_limit_exceeded' || error.statusCode === 429 || error.responseCode === 421
+  };
+}
+
+class ResendTransport {
+  constructor({ apiKey, useFallbackSender = false }) {
+    this.name = 'resend';
+    this.resend = new Resend(apiKey);
+    this.useFallbackSender = useFallbackSender;
+  }
+
+  async send(message) {
+    const recipient = message.to.join(', ');
+    const emailData = {
+      ...message,
+      from: this.useFallbackSender ? RESEND_FALLBACK_SENDER : message.from
+    };
+
+    try {
+      const { data, error } = await this.resend.emails.send(emailData);
+
+      if (error) {
+        console.error('❌ Resend error:', error);
+
+        // If domain not verified, try with Resend's own sender
+        if (error.message?.includes('domain is not verified')) {
+          console.log('🔄 Retrying with Resend\'s verified sender...');
+
+          const { data: retryResult, error: retryError } = await this.resend.emails.send({
+            ...emailData,
+            from: RESEND_FALLBACK_SENDER
+          });
+
+          if (retryError) {
+            return toFailure(retryError);
+          }
+
+          console.log(`✅ Email sent to ${recipient} (via Resend sender)`);
+          return { success: true, data: retryResult };
+        }
+
+        return toFailure(error);
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('❌ Email sending failed:', error.message);
+      return toFailure(error);
+    }
+  }
+
+  async sendBatch(messages) {
+    try {
+      const { data, error } = await this.resend.batch.send(messages);
+      if (error) {
+        console.error('Batch send error:', error);
+        return messages.map(() => toFailure(error));
+      }
+      return messages.map((message, index) => ({ success: true, data: data?.data?.[index] }));
+    } catch (error) {
+      console.error('Batch send failed:', error);
+      return messages.map(() => toFailure(error));
+    }
+  }
+}
+
+class SmtpTransport {
+  constructor({ url, host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport(url || {
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    try {
+      const info = await this.transporter.sendMail({ ...message, to: message.to.join(', ') });
+      return { success: true, data: { id: info.messageId } };
+    } catch (error) {
+      console.error('❌ SMTP send failed:', error.message);
+      return toFailure(error);
+    }
+  }
+
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.send(message));
+    }
+    return results;
+  }
+}
+
+// Local sink for development and end-to-end tests. Builds the full MIME
+// message like a real transport would, then writes <id>.eml and <id>.json
+// to `dir`, or keeps them in `messages` when no directory is configured.
+class SinkTransport {
+  constructor({ dir = null, limit = 500 } = {}) {
+    this.name = dir ? 'file' : 'memory';
+    this.dir = dir;
+    this.limit = limit;
+    this.messages = [];
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    try {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const info = await this.composer.sendMail({ ...message, to: message.to.join(', ') });
+      const captured = { id, ...message, eml: info.message.toString(), capturedAt: new Date().toISOString() };
+
+      if (this.dir) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, `${id}.eml`), captured.eml);
+        await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify({ ...captured, eml: undefined }, null, 2));
+        console.log(`📧 Email to ${message.to.join(', ')} written to ${path.join(this.dir, `${id}.eml`)}`);
+      } else {
+        this.messages.push(captured);
+        if (this.messages.length > this.limit) this.messages.shift();
+        console.log(`📧 Email captured (memory sink): "${message.subject}" to ${message.to.join(', ')}`);
+      }
+
+      return { success: true, data: { id } };
+    } catch (error) {
+      console.error('❌ Email sink failed:', error.message);
+      return toFailure(error);
+    }
+  }
+
+  async sendBatch(messages) {
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.send(message));
+    }
+    return results;
+  }
+
+  // Most recent captured message for an address (memory sink only)
+  lastMessageTo(address) {
+    return [...this.messages].reverse().find(message => message.to.includes(address)) || null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+// EMAIL_TRANSPORT = resend | smtp | file | memory. Without it, Resend is
+// used when RESEND_API_KEY is set and the memory sink otherwise.
+function createTransport(env = process.env) {
+  const type = env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'memory');
+
+  switch (type) {
+    case 'resend':
+      if (!env.RESEND_API_KEY) {
+        throw new Error('EMAIL_TRANSPORT=resend needs RESEND_API_KEY');
+      }
+      return new ResendTransport({
+        apiKey: env.RESEND_API_KEY,
+        useFallbackSender: env.NODE_ENV === 'development'
+      });
+    case 'smtp':
+      if (!env.SMTP_URL && !env.SMTP_HOST) {
+        throw new Error('EMAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST');
+      }
+      return new SmtpTransport({
+        url: env.SMTP_URL,
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return new SinkTransport({ dir: env.EMAIL_SINK_DIR || path.join(os.tmpdir(), 'zintle-emails') });
+    case 'memory':
+      return new SinkTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`);
+  }
+}
+
+module.exports = {
+  ResendTransport,
+  SmtpTransport,
+  SinkTransport,
+  createTransport
+};
@@ -0,0 +1,92 @@
+// Landing page funnel events, stored as Analytics rows (metric = event name).
+// Sessions are anonymous: the browser generates the ID and it is never tied
+// to a signup.
+const EVENTS = ['page_view', 'step_shown', 'step_validated', 'submit', 'error'];
+
+// Funnel stages in order; a session reaches a stage once it has sent the
+// matching event at least once
+const FUNNEL_STAGES = [
+  { stage: 'Landing Page View', metric: 'page_view' },
+  { stage: 'Email Entered', metric: 'step_validated', step: 1 },
+  { stage: 'Survey Started', metric: 'step_shown', step: 2 },
+  { stage: 'Survey Completed', metric: 'step_validated', step: 2 },
+  { stage: 'Signup Submitted', metric: 'submit' }
+];
+
+class EventService {
+  constructor(prisma) {
+    this.prisma = prisma;
+    this.windowDays = parseInt(process.env.FUNNEL_WINDOW_DAYS) || 30;
+  }
+
+  static get events() {
+    return EVENTS;
+  }
+
+  async track({ sessionId, event, step, properties }) {
+    return this.prisma.analytics.create({
+      data: {
+        metric: event,
+        value: 1,
+        sessionId,
+        step: step || null,
+        properties: properties ? JSON.stringify(properties) : null
+      }
+    });
+  }
+
+  // Funnel, drop-off per stage and completion time over the last
+  // `windowDays` days
+  async getFunnel() {
+    const since = new Date(Date.now() - this.windowDays * 24 * 60 * 60 * 1000);
+    const events = await this.prisma.analytics.findMany({
+      where: { metric: { in: EVENTS }, date: { gte: since }, sessionId: { not: null } },
+      select: { sessionId: true, metric: true, step: true, date: true },
+      orderBy: { date: 'asc' }
+    });
+
+    const stageSessions = FUNNEL_STAGES.map(() => new Set());
+    const firstSeen = new Map();
+    const submittedAt = new Map();
+    let errors = 0;
+
+    events.forEach(event => {
+      FUNNEL_STAGES.forEach((stage, index) => {
+        if (stage.metric === event.metric && (stage.step === undefined || stage.step === event.step)) {
+          stageSessions[index].add(event.sessionId);
+        }
+      });
+
+      if (!firstSeen.has(event.sessionId)) firstSeen.set(event.sessionId, event.date);
+      if (event.metric === 'submit' && !submittedAt.has(event.sessionId)) submittedAt.set(event.sessionId, event.date);
+      if (event.metric === 'error') errors++;
+    });
+
+    const top = stageSessions[0].size;
+    const stages = FUNNEL_STAGES.map(({ stage }, index) => {
+      const users = stageSessions[index].size;
+      const previous = index > 0 ? stageSessions[index - 1].size : users;
+      return {
+        stage,
+        users,
+        rate: top > 0 ? `${((users / top) * 100).toFixed(1)}%` : '0%',
+        dropOff: Math.max(previous - users, 0),
+        dropOffRate: previous > 0 ? `${(((previous - users) / previous) * 100).toFixed(1)}%` : '0%'
+      };
+    });
+
+    const durations = [...submittedAt].map(([sessionId, date]) => date - firstSeen.get(sessionId));
+    const avgMs = durations.length > 0 ? durations.reduce((acc, ms) => acc + ms, 0) / durations.length : null;
+
+    return {
+      windowDays: this.windowDays,
+      sessions: firstSeen.size,
+      stages,
+      errors,
+      completionRate: top > 0 ? ((stageSessions[stageSessions.length - 1].size / top) * 100).toFixed(1) : '0',
+      avgTimeToComplete: avgMs === null ? 'n/a' : `${(avgMs / 60000).toFixed(1)} min`
+    };
+  }
+}
+
+module.exports = EventService;
@@ -0,0 +1,152 @@
+// Bulk export of the waitlist, one row per user with a column per survey
+// question. Users are read in pages and written straight to the response,
+// so memory use stays flat however long the list gets.
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const USER_COLUMNS = [
+  ['id', user => user.id],
+  ['email', user => user.email],
+  ['submitted_at', user => user.submittedAt],
+  ['confirmed_at', user => user.confirmedAt],
+  ['status', user => user.status],
+  ['locale', user => user.locale],
+  ['source', user => user.source],
+  ['referral_code', user => user.referralCode],
+  ['referral_count', user => user.referralCount],
+  ['referred_by', user => user.referredBy ? user.referredBy.email : null],
+  ['invited_at', user => user.invitedAt],
+  ['created_at', user => user.createdAt]
+];
+
+// Resolves once the stream can take more data, or has closed
+function drained(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+class ExportService {
+  constructor(prisma, { survey, segments } = {}) {
+    this.prisma = prisma;
+    this.survey = survey;
+    this.segments = segments;
+    this.batchSize = parseInt(process.env.EXPORT_BATCH_SIZE) || 500;
+  }
+
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  static contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  static filename(format, date = new Date()) {
+    return `zintle-waitlist-${date.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+  }
+
+  columns() {
+    return [...USER_COLUMNS.map(([name]) => name), ...this.survey.getQuestions().map(question => question.id)];
+  }
+
+  // Signed up in [from, to) and matching every segment rule
+  toWhere({ from = null, to = null, rules = [] } = {}) {
+    const createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lt = to;
+
+    return {
+      AND: [
+        ...(from || to ? [{ createdAt }] : []),
+        ...this.segments.toWhere(rules)
+      ]
+    };
+  }
+
+  // Users matching the filters, oldest first, a page at a time
+  async *users(filters) {
+    const where = this.toWhere(filters);
+    let cursor = null;
+
+    for (;;) {
+      const page = await this.prisma.user.findMany({
+        where,
+        include: {
+          responses: { select: { questionId: true, answer: true } },
+          referredBy: { select: { email: true } }
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: this.batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const user of page) yield user;
+      if (page.length < this.batchSize) return;
+      cursor = page[page.length - 1].id;
+    }
+  }
+
+  // User -> flat record keyed by column name
+  toRecord(user) {
+    const record = {};
+    USER_COLUMNS.forEach(([name, read]) => {
+      const value = read(user);
+      record[name] = value instanceof Date ? value.toISOString() : value ?? null;
+    });
+
+    const answers = Object.fromEntries(user.responses.map(response => [response.questionId, response.answer]));
+    this.survey.getQuestions().forEach(question => {
+      const answer = answers[question.id];
+      record[question.id] = answer === undefined ? null : question.type === 'scale' ? Number(answer) : answer;
+    });
+    return record;
+  }
+
+  csvLine(values) {
+    return values.map(value => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      // Stop spreadsheets from evaluating cells as formulas
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+  }
+
+  // Write the export to a writable stream, honouring backpressure. Stops
+  // early if the stream is destroyed (e.g. the client went away). Returns
+  // the number of users written.
+  async write(stream, { format = 'csv', ...filters } = {}) {
+    const columns = this.columns();
+    const send = async (chunk) => {
+      if (!stream.write(chunk)) await drained(stream);
+    };
+
+    if (format === 'csv') {
+      // BOM so Excel reads the file as UTF-8
+      await send('\ufeff' + this.csvLine(columns));
+    }
+
+    let count = 0;
+    for await (const user of this.users(filters)) {
+      if (stream.destroyed) break;
+
+      const record = this.toRecord(user);
+      await send(format === 'csv'
+        ? this.csvLine(columns.map(column => record[column]))
+        : JSON.stringify(record) + '\n');
+      count++;
+    }
+    return count;
+  }
+}
+
+module.exports = ExportService;
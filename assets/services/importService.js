@@ -0,0 +1,228 @@
+const { normalizeLocale } = require('./locales');
+const { canonicalEmail } = require('./emailAddresses');
+
+// Bulk import of leads collected outside the landing page (Instagram,
+// events). The CSV needs an `email` column; `locale` and survey columns
+// (question id or payload field, e.g. primary_skill or primarySkill) are
+// optional. Every row goes through the signup schema, and emails already on
+// the waitlist or repeated in the file (compared by canonical address, so
+// aliases count) are skipped. Imported leads go through double opt-in like
+// everyone else unless the import says their addresses were already
+// verified where they were collected (`confirmed`).
+const ROW_STATUSES = ['new', 'imported', 'exists', 'duplicate', 'invalid'];
+const LOOKUP_CHUNK_SIZE = 500;
+
+// RFC 4180 CSV -> [{ line, cells }], where line is the file line the row
+// starts on. Handles quoted fields with commas, doubled quotes and line
+// breaks, CRLF or LF endings and a BOM.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Blank lines carry no lead
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+class ImportService {
+  constructor(prisma, { survey, referrals, schema } = {}) {
+    this.prisma = prisma;
+    this.survey = survey;
+    this.referrals = referrals;
+    // The public signup rules, except that leads from elsewhere may not
+    // have answered the survey
+    this.schema = schema.fork(survey.getQuestions().map(question => question.field), key => key.optional());
+    this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+  }
+
+  static get rowStatuses() {
+    return ROW_STATUSES;
+  }
+
+  // Header cell -> payload key, or null for columns we don't import
+  columnKey(header) {
+    const name = header.trim();
+    const lower = name.toLowerCase();
+    if (lower === 'email' || lower === 'locale') return lower;
+
+    const question = this.survey.getQuestions().find(q => q.id === name || q.field === name);
+    return question ? question.field : null;
+  }
+
+  // CSV -> { error } or { rows: [{ line, email, status, value, errors }], ignoredColumns }
+  parse(text) {
+    const [header, ...records] = parseCsv(text || '');
+    if (!header) {
+      return { error: 'The file is empty' };
+    }
+
+    const keys = header.cells.map(cell => this.columnKey(cell));
+    if (!keys.includes('email')) {
+      return { error: 'The file needs an "email" column' };
+    }
+    if (records.length > this.maxRows) {
+      return { error: `The file has ${records.length} rows; import at most ${this.maxRows} at a time` };
+    }
+
+    const seen = new Set();
+    const rows = records.map(({ line, cells }) => {
+      const payload = {};
+      keys.forEach((key, column) => {
+        const cell = (cells[column] || '').trim();
+        if (key && cell !== '') payload[key] = key === 'email' ? cell.toLowerCase() : cell;
+      });
+
+      const { error, value } = this.schema.validate(payload, { abortEarly: false });
+      if (error) {
+        return { line, email: payload.email || null, status: 'invalid', errors: error.details.map(detail => detail.message) };
+      }
+      if (seen.has(canonicalEmail(value.email))) {
+        return { line, email: value.email, status: 'duplicate', errors: ['Email appears earlier in the file'] };
+      }
+      seen.add(canonicalEmail(value.email));
+      return { line, email: value.email, status: 'new', value, errors: [] };
+    });
+
+    return {
+      rows,
+      ignoredColumns: header.cells.filter((cell, column) => !keys[column])
+    };
+  }
+
+  // Mark rows whose email is already on the waitlist
+  async markExisting(rows) {
+    const candidates = rows.filter(row => row.status === 'new');
+
+    for (let i = 0; i < candidates.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = candidates.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const existing = await this.prisma.user.findMany({
+        where: {
+          OR: [
+            { canonicalEmail: { in: chunk.map(row => canonicalEmail(row.email)) } },
+            // Not backfilled yet: waiting for the duplicate merge
+            { email: { in: chunk.map(row => row.email) } }
+          ]
+        },
+        select: { email: true }
+      });
+
+      const emails = new Set(existing.map(user => canonicalEmail(user.email)));
+      chunk.forEach(row => {
+        if (emails.has(canonicalEmail(row.email))) {
+          row.status = 'exists';
+          row.errors = ['Already on the waitlist'];
+        }
+      });
+    }
+  }
+
+  async createUser(value, { confirmed = false } = {}) {
+    return this.prisma.$transaction(async (tx) => {
+      const user = await tx.user.create({
+        data: {
+          email: value.email,
+          canonicalEmail: canonicalEmail(value.email),
+          locale: normalizeLocale(value.locale),
+          source: 'import',
+          submittedAt: new Date(),
+          confirmedAt: confirmed ? new Date() : null,
+          referralCode: await this.referrals.generateUniqueCode(tx)
+        }
+      });
+
+      const responses = await Promise.all(this.survey.toResponses(value).map(response =>
+        tx.response.create({
+          data: { userId: user.id, ...response }
+        })
+      ));
+
+      return { ...user, responses };
+    });
+  }
+
+  // Validate and de-duplicate a CSV, then create the new users unless this
+  // is a dry run. Returns { error } for an unreadable file, otherwise a
+  // summary with per-row outcomes and the created users.
+  async run(text, { dryRun = true, confirmed = false } = {}) {
+    const parsed = this.parse(text);
+    if (parsed.error) return parsed;
+
+    const { rows, ignoredColumns } = parsed;
+    await this.markExisting(rows);
+
+    const users = [];
+    if (!dryRun) {
+      for (const row of rows.filter(row => row.status === 'new')) {
+        try {
+          users.push(await this.createUser(row.value, { confirmed }));
+          row.status = 'imported';
+        } catch (error) {
+          // Signed up on the landing page since markExisting ran
+          if (error.code === 'P2002') {
+            row.status = 'exists';
+            row.errors = ['Already on the waitlist'];
+          } else {
+            row.status = 'invalid';
+            row.errors = [error.message];
+          }
+        }
+      }
+    }
+
+    const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => {
+      counts[row.status]++;
+    });
+
+    return {
+      dryRun,
+      total: rows.length,
+      counts,
+      ignoredColumns,
+      rows: rows.map(({ value, ...row }) => row),
+      users
+    };
+  }
+}
+
+module.exports = ImportService;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+
+const TOKEN_PURPOSE = 'beta_invite';
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Lifecycle of a waitlist entry. Invited and accepted users hold a beta
+// spot; declined and expired invitations give theirs back.
+const STATUSES = ['waiting', 'invited', 'accepted', 'declined', 'expired'];
+const SPOT_HOLDING_STATUSES = ['invited', 'accepted'];
+
+class InvitationService {
+  constructor(prisma, { tokens, appUrl, referrals, preferences, outbox } = {}) {
+    this.prisma = prisma;
+    this.tokens = tokens;
+    this.appUrl = appUrl;
+    this.referrals = referrals;
+    this.preferences = preferences;
+    this.outbox = outbox;
+    this.betaSpots = parseInt(process.env.BETA_SPOTS) || 500;
+    this.inviteTtlDays = parseInt(process.env.INVITE_TTL_DAYS) || 7;
+  }
+
+  static get statuses() {
+    return STATUSES;
+  }
+
+  async getBetaCapacity() {
+    const used = await this.prisma.user.count({
+      where: { status: { in: SPOT_HOLDING_STATUSES } }
+    });
+
+    return {
+      spots: this.betaSpots,
+      used,
+      spotsLeft: Math.max(this.betaSpots - used, 0)
+    };
+  }
+
+  async getStatusCounts() {
+    const groups = await this.prisma.user.groupBy({
+      by: ['status'],
+      where: { confirmedAt: { not: null } },
+      _count: { status: true }
+    });
+
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    groups.forEach(group => {
+      counts[group.status] = group._count.status;
+    });
+    return counts;
+  }
+
+  // Format: ZNTL-XXXX-XXXX
+  generateAccessCode() {
+    const bytes = crypto.randomBytes(8);
+    let chars = '';
+    for (let i = 0; i < 8; i++) {
+      chars += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return `ZNTL-${chars.slice(0, 4)}-${chars.slice(4)}`;
+  }
+
+  hashCode(code) {
+    const normalized = String(code).trim().toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getInviteLink(userId) {
+    const token = this.tokens.sign(TOKEN_PURPOSE, userId, this.inviteTtlDays * 24 * 60 * 60 * 1000);
+    return `${this.appUrl}/invite/${token}`;
+  }
+
+  verifyToken(token) {
+    return this.tokens.verify(TOKEN_PURPOSE, token);
+  }
+
+  // Next `count` waiting users in queue order, optionally limited to
+  // certain primary skills. Users who opted out of beta invites are skipped.
+  async selectCandidates({ count, skills = [] }) {
+    const queue = (await this.referrals.getQueue()).filter(user => user.status === 'waiting');
+    if (queue.length === 0) return [];
+
+    const eligible = await this.prisma.user.findMany({
+      where: {
+        id: { in: queue.map(user => user.id) },
+        ...this.preferences.optedInWhere('betaInvites'),
+        ...(skills.length > 0 && {
+          responses: { some: { questionId: 'primary_skill', answer: { in: skills } } }
+        })
+      },
+      select: { id: true }
+    });
+
+    const eligibleIds = new Set(eligible.map(user => user.id));
+    return queue.filter(user => eligibleIds.has(user.id)).slice(0, count);
+  }
+
+  // Invite the next users in line. Never hands out more invitations than
+  // there are beta spots left. With `dryRun` nothing is written or sent.
+  // The emails go through the outbox, which keeps to the provider's rate
+  // limit and retries failures, so a large batch returns right away.
+  async inviteNext({ count, skills = [], dryRun = false, invitedBy = null }) {
+    const { spotsLeft } = await this.getBetaCapacity();
+    const candidates = await this.selectCandidates({ count: Math.min(count, spotsLeft), skills });
+
+    if (dryRun) {
+      return { dryRun: true, spotsLeft, invited: candidates.map(({ id, email, position }) => ({ id, email, position })) };
+    }
+
+    const expiresAt = new Date(Date.now() + this.inviteTtlDays * 24 * 60 * 60 * 1000);
+
+    // Claim the spots and the users in one transaction, re-checking the cap
+    // there: a concurrent batch (a double click, a second admin) may have
+    // taken some since the candidates were picked
+    const { used, invited } = await this.prisma.$transaction(async (tx) => {
+      const used = await tx.user.count({ where: { status: { in: SPOT_HOLDING_STATUSES } } });
+      const invited = [];
+
+      for (const candidate of candidates) {
+        if (used + invited.length >= this.betaSpots) break;
+        const code = this.generateAccessCode();
+
+        const { count } = await tx.user.updateMany({
+          where: { id: candidate.id, status: 'waiting', invitedAt: null },
+          data: {
+            status: 'invited',
+            invitedAt: new Date(),
+            inviteExpiresAt: expiresAt,
+            respondedAt: null,
+            betaCodeHash: this.hashCode(code),
+            betaCodeRedeemedAt: null
+          }
+        });
+        // Already invited by the other batch
+        if (count === 0) continue;
+
+        await this.outbox.enqueue('beta_invite', candidate.email, {
+          code,
+          inviteLink: this.getInviteLink(candidate.id),
+          expiresAt,
+          unsubscribe: this.preferences.getUnsubscribeLinks(candidate.id),
+          locale: candidate.locale
+        }, { userId: candidate.id, tx });
+
+        invited.push({ id: candidate.id, email: candidate.email, position: candidate.position });
+      }
+
+      return { used, invited };
+    });
+
+    if (invited.length > 0) this.outbox.processQueue();
+
+    console.log(`🎟️  Invited ${invited.length} users to the beta${invitedBy ? ` (by ${invitedBy})` : ''}`);
+    return { dryRun: false, invited, spotsLeft: Math.max(this.betaSpots - used - invited.length, 0) };
+  }
+
+  // Accept or decline through the emailed invite link
+  async respond(userId, accept) {
+    const user = await this.prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.status !== 'invited') return null;
+
+    if (user.inviteExpiresAt && user.inviteExpiresAt < new Date()) {
+      await this.markExpired([user.id]);
+      return null;
+    }
+
+    return this.prisma.user.update({
+      where: { id: userId },
+      data: { status: accept ? 'accepted' : 'declined', respondedAt: new Date() }
+    });
+  }
+
+  // One-time redemption of the access code by the beta app. Redeeming an
+  // invitation that was never explicitly accepted accepts it as well.
+  async redeemCode(code) {
+    const user = await this.prisma.user.findUnique({
+      where: { betaCodeHash: this.hashCode(code) }
+    });
+
+    if (!user || user.betaCodeRedeemedAt || !SPOT_HOLDING_STATUSES.includes(user.status)) {
+      return null;
+    }
+
+    if (user.status === 'invited' && user.inviteExpiresAt && user.inviteExpiresAt < new Date()) {
+      await this.markExpired([user.id]);
+      return null;
+    }
+
+    return this.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        status: 'accepted',
+        respondedAt: user.respondedAt || new Date(),
+        betaCodeRedeemedAt: new Date()
+      }
+    });
+  }
+
+  async markExpired(ids) {
+    return this.prisma.user.updateMany({
+      where: { id: { in: ids }, status: 'invited' },
+      data: { status: 'expired', betaCodeHash: null }
+    });
+  }
+
+  async expireInvites() {
+    const expired = await this.prisma.user.findMany({
+      where: { status: 'invited', inviteExpiresAt: { lt: new Date() } },
+      select: { id: true }
+    });
+
+    if (expired.length === 0) return 0;
+
+    await this.markExpired(expired.map(user => user.id));
+    console.log(`⌛ Expired ${expired.length} unanswered beta invitations`);
+    return expired.length;
+  }
+}
+
+module.exports = InvitationService;
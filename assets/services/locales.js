@@ -0,0 +1,21 @@
+// Languages we speak. Anything else falls back to English.
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'ar'];
+const RTL_LOCALES = ['ar'];
+
+// 'ar-EG', 'AR' or 'ar' -> 'ar'; anything unsupported -> 'en'
+function normalizeLocale(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function getDirection(locale) {
+  return RTL_LOCALES.includes(normalizeLocale(locale)) ? 'rtl' : 'ltr';
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  getDirection
+};
@@ -0,0 +1,135 @@
+// Leads who entered their email at step 1 of the signup form but never sent
+// step 2. They are stored as users with no `submittedAt`, so they show up in
+// the dashboard but don't count as signups and get no campaign emails until
+// they finish. Once, after `reminderDelayHours`, they can get an email with
+// a link that reopens the form at step 2; leads that never finish are
+// deleted after `ttlDays`. Anyone can type any address at step 1, so an
+// address is only ever reminded once, even if it is entered again after
+// its lead expired, and never after it unsubscribed.
+const { canonicalEmail, findUserByEmail, hashEmail } = require('./emailAddresses');
+
+const TOKEN_PURPOSE = 'resume_signup';
+const REMINDER_BATCH_SIZE = 100;
+
+class PartialSignupService {
+  constructor(prisma, { tokens, appUrl, outbox, preferences } = {}) {
+    this.prisma = prisma;
+    this.tokens = tokens;
+    this.appUrl = appUrl;
+    this.outbox = outbox;
+    this.preferences = preferences;
+    this.ttlDays = parseInt(process.env.PARTIAL_SIGNUP_TTL_DAYS) || 30;
+    this.reminderDelayHours = parseInt(process.env.PARTIAL_SIGNUP_REMINDER_HOURS) || 24;
+    this.remindersEnabled = process.env.PARTIAL_SIGNUP_REMINDERS !== 'false';
+  }
+
+  get ttlMs() {
+    return this.ttlDays * 24 * 60 * 60 * 1000;
+  }
+
+  // Store the lead unless the email (or an alias of it) is already known.
+  // Returns the new user, or null when nothing was created.
+  async capture({ email, locale }) {
+    const existing = await findUserByEmail(this.prisma, email);
+    if (existing) {
+      // Still partial: follow the language they picked this time
+      if (!existing.submittedAt && existing.locale !== locale) {
+        await this.prisma.user.update({ where: { id: existing.id }, data: { locale } });
+      }
+      return null;
+    }
+
+    try {
+      return await this.prisma.user.create({
+        data: { email, canonicalEmail: canonicalEmail(email), locale, submittedAt: null }
+      });
+    } catch (error) {
+      // The same email arrived twice at once
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  getResumeLink(userId) {
+    const token = this.tokens.sign(TOKEN_PURPOSE, userId, this.ttlMs);
+    return `${this.appUrl}/?resume=${token}#waitlist`;
+  }
+
+  // The partial lead a resume link belongs to, or null if the link is
+  // invalid or the signup has been finished or deleted since
+  async findByResumeToken(token) {
+    const userId = this.tokens.verify(TOKEN_PURPOSE, token);
+    const user = userId && await this.prisma.user.findUnique({ where: { id: userId } });
+    return user && !user.submittedAt ? user : null;
+  }
+
+  // Email every lead that has been partial for long enough a single
+  // reminder. Returns the number sent.
+  async sendReminders() {
+    if (!this.remindersEnabled) return 0;
+
+    const cutoff = new Date(Date.now() - this.reminderDelayHours * 60 * 60 * 1000);
+    const leads = await this.prisma.user.findMany({
+      where: {
+        submittedAt: null,
+        resumeReminderAt: null,
+        createdAt: { lt: cutoff },
+        OR: [
+          { emailPreference: { is: null } },
+          { emailPreference: { is: { unsubscribedAt: null } } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: REMINDER_BATCH_SIZE
+    });
+
+    let sent = 0;
+    for (const lead of leads) {
+      if (await this.claimReminder(lead.email)) {
+        await this.outbox.enqueue('resume_signup', lead.email, {
+          resumeLink: this.getResumeLink(lead.id),
+          unsubscribe: this.preferences.getUnsubscribeLinks(lead.id),
+          locale: lead.locale
+        }, { userId: lead.id });
+        sent++;
+      }
+
+      await this.prisma.user.update({
+        where: { id: lead.id },
+        data: { resumeReminderAt: new Date() }
+      });
+    }
+
+    if (sent > 0) {
+      console.log(`📨 Sent ${sent} resume-your-signup reminders`);
+    }
+    return sent;
+  }
+
+  // False if this address (or an alias of it) was reminded before. Only a
+  // hash is kept, and it outlives the lead on purpose: it is what stops a
+  // re-entered address from being emailed again.
+  async claimReminder(email) {
+    try {
+      await this.prisma.resumeReminder.create({ data: { emailHash: hashEmail(email) } });
+      return true;
+    } catch (error) {
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  }
+
+  async expire() {
+    const cutoff = new Date(Date.now() - this.ttlMs);
+    const { count } = await this.prisma.user.deleteMany({
+      where: { submittedAt: null, createdAt: { lt: cutoff } }
+    });
+
+    if (count > 0) {
+      console.log(`🧹 Removed ${count} partial signups older than ${this.ttlDays} days`);
+    }
+    return count;
+  }
+}
+
+module.exports = PartialSignupService;
@@ -0,0 +1,107 @@
+const TOKEN_PURPOSE = 'email_preferences';
+
+// Email categories a user can opt out of, keyed by EmailPreference column
+const CATEGORIES = {
+  productUpdates: 'Product updates and progress news',
+  betaInvites: 'Beta invitations',
+  surveys: 'Surveys and feedback requests'
+};
+
+class PreferenceService {
+  constructor(prisma, { tokens, appUrl } = {}) {
+    this.prisma = prisma;
+    this.tokens = tokens;
+    this.appUrl = appUrl;
+  }
+
+  static get categories() {
+    return CATEGORIES;
+  }
+
+  // Preference links never expire: an unsubscribe link in an old email
+  // still has to work.
+  getToken(userId) {
+    return this.tokens.sign(TOKEN_PURPOSE, userId);
+  }
+
+  verifyToken(token) {
+    return this.tokens.verify(TOKEN_PURPOSE, token);
+  }
+
+  // Links for the email footer (human-facing page) and the RFC 8058
+  // List-Unsubscribe header (one-click POST endpoint).
+  getUnsubscribeLinks(userId) {
+    const token = this.getToken(userId);
+    return {
+      pageUrl: `${this.appUrl}/unsubscribe/${token}`,
+      oneClickUrl: `${this.appUrl}/api/unsubscribe/${token}`
+    };
+  }
+
+  async getPreferences(userId) {
+    const preference = await this.prisma.emailPreference.findUnique({
+      where: { userId }
+    });
+
+    // Users without a record have never changed anything: everything is on
+    return this.toPublicPreferences(preference);
+  }
+
+  async updatePreferences(userId, changes) {
+    const data = {};
+    for (const category of Object.keys(CATEGORIES)) {
+      if (typeof changes[category] === 'boolean') {
+        data[category] = changes[category];
+      }
+    }
+
+    const merged = { ...(await this.getPreferences(userId)), ...data };
+    const everythingOff = Object.keys(CATEGORIES).every(category => !merged[category]);
+    data.unsubscribedAt = everythingOff ? (merged.unsubscribedAt || new Date()) : null;
+
+    const preference = await this.prisma.emailPreference.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data
+    });
+
+    return this.toPublicPreferences(preference);
+  }
+
+  async unsubscribeAll(userId) {
+    const data = { unsubscribedAt: new Date() };
+    for (const category of Object.keys(CATEGORIES)) {
+      data[category] = false;
+    }
+
+    const preference = await this.prisma.emailPreference.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data
+    });
+
+    console.log('📭 User unsubscribed from all emails:', userId);
+    return this.toPublicPreferences(preference);
+  }
+
+  // Prisma `where` fragment matching users who still accept `category`
+  optedInWhere(category) {
+    return {
+      OR: [
+        { emailPreference: { is: null } },
+        { emailPreference: { is: { [category]: true } } }
+      ]
+    };
+  }
+
+  toPublicPreferences(preference) {
+    const result = {};
+    for (const category of Object.keys(CATEGORIES)) {
+      result[category] = preference ? preference[category] : true;
+    }
+    result.unsubscribedAt = preference ? preference.unsubscribedAt : null;
+    return result;
+  }
+}
+
+module.exports = PreferenceService;
@@ -0,0 +1,146 @@
+// Data subject requests: export everything we hold about a user, or erase it.
+// Self-service requests are verified by a signed link emailed to the user.
+const { canonicalEmail } = require('./emailAddresses');
+
+const REQUEST_TYPES = {
+  export: 'data_export',
+  delete: 'data_delete'
+};
+
+class PrivacyService {
+  constructor(prisma, { tokens, appUrl, referrals } = {}) {
+    this.prisma = prisma;
+    this.tokens = tokens;
+    this.referrals = referrals;
+    this.appUrl = appUrl;
+    this.linkTtlHours = parseInt(process.env.PRIVACY_LINK_TTL_HOURS) || 24;
+  }
+
+  static get requestTypes() {
+    return Object.keys(REQUEST_TYPES);
+  }
+
+  getRequestLink(type, userId) {
+    const token = this.tokens.sign(REQUEST_TYPES[type], userId, this.linkTtlHours * 60 * 60 * 1000);
+    return type === 'export'
+      ? `${this.appUrl}/api/privacy/export/${token}`
+      : `${this.appUrl}/privacy/delete/${token}`;
+  }
+
+  verifyToken(type, token) {
+    return this.tokens.verify(REQUEST_TYPES[type], token);
+  }
+
+  async exportUserData(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        responses: { orderBy: { createdAt: 'asc' } },
+        emailPreference: true,
+        referredBy: { select: { referralCode: true } },
+        outboxEmails: { orderBy: { createdAt: 'asc' } },
+        campaignDeliveries: {
+          orderBy: { createdAt: 'asc' },
+          include: { campaign: { select: { subject: true } } }
+        }
+      }
+    });
+
+    if (!user) return null;
+
+    const rejections = await this.prisma.signupRejection.findMany({
+      where: this.rejectionsWhere(user),
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return {
+      exportedAt: new Date().toISOString(),
+      account: {
+        email: user.email,
+        canonicalEmail: user.canonicalEmail,
+        locale: user.locale,
+        source: user.source,
+        createdAt: user.createdAt,
+        submittedAt: user.submittedAt,
+        resumeReminderAt: user.resumeReminderAt,
+        confirmationSentAt: user.confirmationSentAt,
+        confirmedAt: user.confirmedAt,
+        waitlistStatus: user.status,
+        invitedAt: user.invitedAt,
+        inviteExpiresAt: user.inviteExpiresAt,
+        respondedAt: user.respondedAt,
+        betaCodeRedeemedAt: user.betaCodeRedeemedAt,
+        referralCode: user.referralCode,
+        referralCount: user.referralCount,
+        referredByCode: user.referredBy ? user.referredBy.referralCode : null
+      },
+      surveyResponses: user.responses.map(response => ({
+        questionId: response.questionId,
+        question: response.question,
+        answer: response.answer,
+        answeredAt: response.createdAt
+      })),
+      emailPreferences: user.emailPreference ? {
+        productUpdates: user.emailPreference.productUpdates,
+        betaInvites: user.emailPreference.betaInvites,
+        surveys: user.emailPreference.surveys,
+        unsubscribedAt: user.emailPreference.unsubscribedAt
+      } : null,
+      // Payloads are left out: they hold live links and access codes
+      emailLog: user.outboxEmails.map(email => ({
+        type: email.type,
+        to: email.to,
+        status: email.status,
+        attempts: email.attempts,
+        lastError: email.lastError,
+        queuedAt: email.createdAt,
+        sentAt: email.sentAt
+      })),
+      campaignDeliveries: user.campaignDeliveries.map(delivery => ({
+        subject: delivery.campaign.subject,
+        email: delivery.email,
+        status: delivery.status,
+        error: delivery.error,
+        sentAt: delivery.sentAt
+      })),
+      blockedSignupAttempts: rejections.map(rejection => ({
+        email: rejection.email,
+        ip: rejection.ip,
+        stage: rejection.stage,
+        reason: rejection.reason,
+        attemptedAt: rejection.createdAt
+      }))
+    };
+  }
+
+  // Signup attempts SignupGuardService turned away with this user's address
+  // (or an alias of it); they aren't linked to the user row
+  rejectionsWhere(user) {
+    return {
+      OR: [
+        { canonicalEmail: canonicalEmail(user.email) },
+        { email: user.email }
+      ]
+    };
+  }
+
+  // Erase a user. Responses and email preferences cascade in the database,
+  // blocked signup attempts with their address are deleted too; users they
+  // referred keep their account but lose the link to this one, and whoever
+  // referred them loses the credit.
+  async deleteUser(userId) {
+    const user = await this.prisma.user.findUnique({ where: { id: userId } });
+    if (!user) return null;
+
+    await this.prisma.$transaction(async (tx) => {
+      await this.referrals.uncreditReferral(tx, user);
+      await tx.user.delete({ where: { id: userId } });
+      await tx.signupRejection.deleteMany({ where: this.rejectionsWhere(user) });
+    });
+
+    console.log('🗑️  Deleted user data on request:', userId);
+    return user;
+  }
+}
+
+module.exports = PrivacyService;
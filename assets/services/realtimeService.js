@@ -0,0 +1,162 @@
+const WebSocket = require('ws');
+
+// WebSocket endpoint attached to the HTTP server, so it shares the app's
+// port and works behind a single reverse proxy and over TLS. Clients connect
+// to `${path}/<channel>` (plain `path` is the public channel) and only get
+// that channel's messages. A channel's `authorize(req)` hook resolves to a
+// context kept on the socket, or to null to close it with 4401.
+//
+// Browsers don't apply CORS to WebSockets, so upgrades from pages on other
+// origins are refused; clients without an Origin header (scripts) are fine.
+//
+// Networks that block WebSockets can follow a channel over Server-Sent
+// Events instead (see stream()); they get the same JSON messages.
+const PUBLIC_CHANNEL = 'public';
+const CLOSE_UNAUTHORIZED = 4401;
+const MAX_PAYLOAD_BYTES = 4 * 1024;
+
+// Answer a rejected upgrade with a plain HTTP response
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+}
+
+class RealtimeService {
+  constructor({ path = '/ws', allowedOrigins = [] } = {}) {
+    this.path = path.replace(/\/$/, '');
+    this.allowedOrigins = new Set(allowedOrigins.map(origin => origin.replace(/\/$/, '')));
+    this.heartbeatMs = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+
+    this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+    this.channels = new Map();
+    this.streams = new Set();
+    this.heartbeat = null;
+    this.channel(PUBLIC_CHANNEL);
+  }
+
+  static get publicChannel() {
+    return PUBLIC_CHANNEL;
+  }
+
+  static get closeUnauthorized() {
+    return CLOSE_UNAUTHORIZED;
+  }
+
+  channel(name, { authorize = null } = {}) {
+    this.channels.set(name, { authorize });
+    return this;
+  }
+
+  // Request URL -> channel name, or null if it isn't one of ours
+  channelFor(url) {
+    const { pathname } = new URL(url, 'ws://localhost');
+    if (pathname === this.path || pathname === `${this.path}/`) return PUBLIC_CHANNEL;
+    if (!pathname.startsWith(`${this.path}/`)) return null;
+
+    const name = pathname.slice(this.path.length + 1);
+    return this.channels.has(name) ? name : null;
+  }
+
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    try {
+      const url = new URL(origin);
+      return url.host === req.headers.host || this.allowedOrigins.has(url.origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      const channel = this.channelFor(req.url);
+      if (!channel) return rejectUpgrade(socket, 404, 'Not Found');
+      if (!this.isAllowedOrigin(req)) return rejectUpgrade(socket, 403, 'Forbidden');
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.accept(ws, req, channel));
+    });
+
+    // Proxies and mobile networks drop idle connections without a close
+    // frame; a client that misses a ping is terminated on the next round.
+    // Event streams get a comment line so proxies don't time them out.
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+      });
+      this.streams.forEach(({ res }) => res.write(': ping\n\n'));
+    }, this.heartbeatMs);
+  }
+
+  async accept(ws, req, channel) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('error', error => {
+      console.error('WebSocket error:', error.message);
+    });
+
+    try {
+      const { authorize } = this.channels.get(channel);
+      const context = authorize ? await authorize(req) : {};
+      if (!context) {
+        return ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+      }
+      if (ws.readyState !== WebSocket.OPEN) return;
+
+      // Only subscribed once authorized, so nothing leaks before that
+      ws.context = context;
+      ws.channel = channel;
+    } catch (error) {
+      console.error(`WebSocket ${channel} authorization error:`, error);
+      ws.close(1011, 'Authorization failed');
+    }
+  }
+
+  // Follow a channel over Server-Sent Events. Only for channels without
+  // authorization; the request stays open until the client goes away.
+  stream(req, res, channel = PUBLIC_CHANNEL) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.heartbeatMs}\n\n`);
+
+    const subscriber = { res, channel };
+    this.streams.add(subscriber);
+    req.on('close', () => this.streams.delete(subscriber));
+  }
+
+  clients(channel) {
+    return Array.from(this.wss.clients).filter(ws => ws.channel === channel && ws.readyState === WebSocket.OPEN);
+  }
+
+  // Send { type, ...data } to everyone on the channel, over either
+  // transport. Returns the number of clients it went to.
+  publish(channel, type, data = {}) {
+    const clients = this.clients(channel);
+    const streams = Array.from(this.streams).filter(subscriber => subscriber.channel === channel);
+    if (clients.length === 0 && streams.length === 0) return 0;
+
+    const message = JSON.stringify({ type, ...data });
+    clients.forEach(ws => ws.send(message));
+    streams.forEach(({ res }) => res.write(`data: ${message}\n\n`));
+    return clients.length + streams.length;
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    this.wss.close();
+    this.streams.forEach(({ res }) => res.end());
+    this.streams.clear();
+  }
+}
+
+module.exports = RealtimeService;
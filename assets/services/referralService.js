@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I/L so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+class ReferralService {
+  constructor(prisma, { appUrl } = {}) {
+    this.prisma = prisma;
+    this.appUrl = appUrl;
+    // Each successful referral moves the referrer this many spots up the queue
+    this.boostPerReferral = parseInt(process.env.REFERRAL_BOOST_POSITIONS) || 5;
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  async generateUniqueCode(client = this.prisma) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.generateCode();
+      const taken = await client.user.findUnique({ where: { referralCode: code } });
+      if (!taken) return code;
+    }
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  getReferralLink(code) {
+    return `${this.appUrl}/?ref=${encodeURIComponent(code)}#waitlist`;
+  }
+
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  async findReferrer(code, client = this.prisma) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) return null;
+
+    return client.user.findUnique({ where: { referralCode: normalized } });
+  }
+
+  // Remember who referred a new signup. The referrer is only credited
+  // once the new user confirms their email (see creditReferral).
+  async linkReferrer(tx, referrerId, userId) {
+    await tx.user.update({
+      where: { id: userId },
+      data: { referredById: referrerId }
+    });
+  }
+
+  async creditReferral(tx, user) {
+    if (!user.referredById) return;
+
+    await tx.user.update({
+      where: { id: user.referredById },
+      data: { referralCount: { increment: 1 } }
+    });
+  }
+
+  // Take the credit back when a confirmed referral is deleted
+  async uncreditReferral(tx, user) {
+    if (!user.referredById || !user.confirmedAt) return;
+
+    await tx.user.updateMany({
+      where: { id: user.referredById, referralCount: { gt: 0 } },
+      data: { referralCount: { decrement: 1 } }
+    });
+  }
+
+  // The confirmed waitlist in queue order. Everyone starts at their signup
+  // position and moves up `boostPerReferral` spots per referral; ties go to
+  // whoever signed up first.
+  async getQueue() {
+    const users = await this.prisma.user.findMany({
+      where: { confirmedAt: { not: null } },
+      select: { id: true, email: true, locale: true, status: true, createdAt: true, referralCount: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return users
+      .map((user, index) => ({
+        ...user,
+        signupPosition: index + 1,
+        score: index + 1 - user.referralCount * this.boostPerReferral
+      }))
+      .sort((a, b) => a.score - b.score || a.signupPosition - b.signupPosition)
+      .map((user, index) => ({ ...user, position: index + 1 }));
+  }
+
+  async getQueuePosition(userId) {
+    const queue = await this.getQueue();
+    const entry = queue.find(user => user.id === userId);
+    return entry ? entry.position : null;
+  }
+
+  async getTopReferrers(limit = 5) {
+    return this.prisma.user.findMany({
+      where: { referralCount: { gt: 0 } },
+      select: { email: true, referralCode: true, referralCount: true },
+      orderBy: [{ referralCount: 'desc' }, { createdAt: 'asc' }],
+      take: limit
+    });
+  }
+
+  // Users who signed up before referrals existed have no code yet
+  async backfillCodes() {
+    const users = await this.prisma.user.findMany({
+      where: { referralCode: null },
+      select: { id: true }
+    });
+
+    for (const user of users) {
+      await this.prisma.user.update({
+        where: { id: user.id },
+        data: { referralCode: await this.generateUniqueCode() }
+      });
+    }
+
+    if (users.length > 0) {
+      console.log(`🔗 Generated referral codes for ${users.length} existing users`);
+    }
+    return users.length;
+  }
+}
+
+module.exports = ReferralService;
@@ -0,0 +1,140 @@
+// Audience segments over survey answers, e.g.
+//
+//   primary_skill = photography AND interest_level >= 4 AND biggest_challenge = payment_delays
+//
+// A segment is a list of rules that must all match. Each rule names a
+// survey question, an operator and one or more values. Option questions take
+// = and != (a comma list means "any of"); scale questions also take
+// > >= < <=. The empty segment matches everyone.
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+const SCALE_ONLY_OPERATORS = ['>', '>=', '<', '<='];
+
+class SegmentService {
+  constructor(prisma, { survey, preferences } = {}) {
+    this.prisma = prisma;
+    this.survey = survey;
+    this.preferences = preferences;
+  }
+
+  // Query string -> { rules } or { error }
+  parse(query) {
+    const text = (query || '').trim();
+    if (!text) return { rules: [] };
+
+    const rules = [];
+    for (const clause of text.split(/\s+and\s+/i)) {
+      const match = clause.trim().match(/^([a-z_]+)\s*(>=|<=|!=|=|>|<)\s*(.+)$/i);
+      if (!match) {
+        return { error: `Cannot read "${clause.trim()}", expected <question> <operator> <value>` };
+      }
+
+      const [, question, op, rawValue] = match;
+      rules.push({
+        question,
+        op,
+        values: rawValue.split(',').map(value => value.trim()).filter(Boolean)
+      });
+    }
+
+    const error = this.validate(rules);
+    return error ? { error } : { rules };
+  }
+
+  // Error message for the first invalid rule, or null
+  validate(rules) {
+    if (!Array.isArray(rules)) return 'Segment must be a list of rules';
+
+    for (const rule of rules) {
+      const question = this.survey.getQuestion(rule.question);
+      if (!question) {
+        return `Unknown question "${rule.question}". Use one of: ${this.survey.getQuestions().map(q => q.id).join(', ')}`;
+      }
+      if (!OPERATORS.includes(rule.op)) {
+        return `Unknown operator "${rule.op}"`;
+      }
+      if (!Array.isArray(rule.values) || rule.values.length === 0) {
+        return `No value given for ${rule.question}`;
+      }
+
+      if (question.type === 'scale') {
+        const outOfRange = rule.values.find(value => {
+          const number = Number(value);
+          return !Number.isInteger(number) || number < question.min || number > question.max;
+        });
+        if (outOfRange !== undefined) {
+          return `${rule.question} takes whole numbers from ${question.min} to ${question.max}`;
+        }
+        if (SCALE_ONLY_OPERATORS.includes(rule.op) && rule.values.length > 1) {
+          return `${rule.op} takes a single value`;
+        }
+      } else {
+        if (SCALE_ONLY_OPERATORS.includes(rule.op)) {
+          return `${rule.question} only supports = and !=`;
+        }
+        const allowed = question.options.map(option => option.value);
+        const unknown = rule.values.find(value => !allowed.includes(value));
+        if (unknown !== undefined) {
+          return `"${unknown}" is not an answer to ${rule.question}. Use one of: ${allowed.join(', ')}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Rules -> query string, for display
+  describe(rules) {
+    return (rules || []).map(rule => `${rule.question} ${rule.op} ${rule.values.join(',')}`).join(' AND ');
+  }
+
+  // Answers a rule accepts. Scale comparisons are expanded to the matching
+  // values because answers are stored as strings.
+  matchingAnswers(rule) {
+    const question = this.survey.getQuestion(rule.question);
+    if (question.type !== 'scale') return rule.values;
+
+    const value = Number(rule.values[0]);
+    const all = [];
+    for (let n = question.min; n <= question.max; n++) all.push(n);
+
+    const compare = {
+      '>': n => n > value,
+      '>=': n => n >= value,
+      '<': n => n < value,
+      '<=': n => n <= value,
+      '=': n => rule.values.map(Number).includes(n),
+      '!=': n => !rule.values.map(Number).includes(n)
+    }[rule.op];
+
+    return all.filter(compare).map(String);
+  }
+
+  // Prisma `where` conditions for users matching every rule
+  toWhere(rules) {
+    return (rules || []).map(rule => {
+      const question = this.survey.getQuestion(rule.question);
+      // != on an option question keeps users who answered something else
+      const answers = rule.op === '!=' && question.type !== 'scale'
+        ? question.options.map(option => option.value).filter(value => !rule.values.includes(value))
+        : this.matchingAnswers(rule);
+
+      return { responses: { some: { questionId: rule.question, answer: { in: answers } } } };
+    });
+  }
+
+  // Confirmed users in the segment who still accept product updates
+  audienceWhere(rules) {
+    return {
+      AND: [
+        { confirmedAt: { not: null } },
+        this.preferences.optedInWhere('productUpdates'),
+        ...this.toWhere(rules)
+      ]
+    };
+  }
+
+  async count(rules) {
+    return this.prisma.user.count({ where: this.audienceWhere(rules) });
+  }
+}
+
+module.exports = SegmentService;
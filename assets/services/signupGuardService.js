@@ -0,0 +1,196 @@
+const { DISPOSABLE_DOMAINS } = require('./disposableDomains');
+const { createChallengeProvider } = require('./challengeProviders');
+const { canonicalEmail } = require('./emailAddresses');
+
+// Bot protection for the public signup endpoints, in layers from cheapest to
+// most expensive:
+//
+//   honeypot          a hidden form field people never fill in
+//   disposable_email  throwaway inbox domains
+//   too_fast          the form was sent sooner than a person could fill it
+//   suspicious        address heuristics (no DNS lookups) and bursts of
+//                     signups from one domain add up past a threshold
+//   challenge_failed  the configured challenge provider said no
+//
+// Step 1 of the form (a partial lead) only gets the first two. Every
+// rejection is logged to signup_rejections for review on the dashboard.
+const REASONS = ['honeypot', 'disposable_email', 'too_fast', 'suspicious', 'challenge_failed'];
+
+const MESSAGES = {
+  honeypot: 'Signup rejected',
+  disposable_email: 'Please use a permanent email address, not a temporary one',
+  too_fast: 'That was quick! Please check your answers and try again',
+  suspicious: 'We couldn\'t verify this signup. Please try again later',
+  challenge_failed: 'Please complete the verification and try again'
+};
+
+// Heuristic signal -> weight. No single signal reaches the default
+// threshold: a busy company or university domain alone must not block a
+// genuine signup.
+const SIGNAL_WEIGHTS = {
+  mostly_digits: 1,
+  random_letters: 1,
+  long_local_part: 1,
+  no_timing: 1,
+  domain_burst: 1
+};
+
+// Providers shared by many real people; bursts there mean nothing
+const SHARED_PROVIDERS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+]);
+
+class SignupGuardService {
+  constructor(prisma, { challenge = createChallengeProvider() } = {}) {
+    this.prisma = prisma;
+    this.challenge = challenge;
+    this.minSubmitMs = parseInt(process.env.SIGNUP_MIN_SUBMIT_MS) || 3000;
+    this.suspicionThreshold = parseInt(process.env.SIGNUP_SUSPICION_THRESHOLD) || 2;
+    this.burstWindowMs = (parseInt(process.env.SIGNUP_BURST_WINDOW_MINUTES) || 10) * 60 * 1000;
+    this.burstLimit = parseInt(process.env.SIGNUP_BURST_LIMIT) || 5;
+    this.retentionDays = parseInt(process.env.SIGNUP_REJECTION_RETENTION_DAYS) || 30;
+    this.blockedDomains = new Set([
+      ...DISPOSABLE_DOMAINS,
+      ...(process.env.BLOCKED_EMAIL_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    ]);
+  }
+
+  static get reasons() {
+    return REASONS;
+  }
+
+  domainOf(email) {
+    return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+  }
+
+  // Blocked domains and their subdomains, e.g. inbox.mailinator.com
+  isDisposable(email) {
+    const labels = this.domainOf(email).split('.');
+    return labels.some((label, i) => this.blockedDomains.has(labels.slice(i).join('.')));
+  }
+
+  // `burstLimit` or more signups from one (non-shared) domain within the
+  // window usually means a script with its own catch-all domain. Only
+  // submitted signups count, not partial leads such as the visitor's own
+  // step 1.
+  async isBurst(domain) {
+    if (SHARED_PROVIDERS.has(domain)) return false;
+
+    const recent = await this.prisma.user.count({
+      where: {
+        email: { endsWith: `@${domain}` },
+        submittedAt: { gte: new Date(Date.now() - this.burstWindowMs) }
+      }
+    });
+    return recent >= this.burstLimit;
+  }
+
+  // Signals that an address was generated rather than typed by a person.
+  // Returns { score, signals }.
+  async suspicionOf(email, { elapsedMs } = {}) {
+    const local = email.slice(0, email.lastIndexOf('@')).toLowerCase();
+    const digits = (local.match(/\d/g) || []).length;
+    const signals = [];
+
+    if (digits >= 6 && digits / local.length >= 0.5) signals.push('mostly_digits');
+    if (/[bcdfghjklmnpqrstvwxz]{6,}/.test(local)) signals.push('random_letters');
+    if (local.length > 30) signals.push('long_local_part');
+    // Only scripts posting straight to the API leave this out
+    if (elapsedMs === undefined) signals.push('no_timing');
+    if (await this.isBurst(this.domainOf(email))) signals.push('domain_burst');
+
+    const score = signals.reduce((total, signal) => total + SIGNAL_WEIGHTS[signal], 0);
+    return { score, signals };
+  }
+
+  // Returns null to let the attempt through, or { reason, message } after
+  // logging the rejection. `stage` is 'signup' or 'partial'.
+  async check({ stage = 'signup', email, honeypot, elapsedMs, challengeToken, ip }) {
+    const context = { stage, email, ip };
+
+    if (honeypot) {
+      return this.reject('honeypot', context);
+    }
+    if (this.isDisposable(email)) {
+      return this.reject('disposable_email', { ...context, details: { domain: this.domainOf(email) } });
+    }
+    if (stage !== 'signup') return null;
+
+    if (elapsedMs !== undefined && elapsedMs < this.minSubmitMs) {
+      return this.reject('too_fast', { ...context, details: { elapsedMs } });
+    }
+
+    const { score, signals } = await this.suspicionOf(email, { elapsedMs });
+    if (score >= this.suspicionThreshold) {
+      return this.reject('suspicious', { ...context, details: { score, signals } });
+    }
+
+    if (!await this.challenge.verify(challengeToken, { ip })) {
+      return this.reject('challenge_failed', { ...context, details: { provider: this.challenge.name } });
+    }
+    return null;
+  }
+
+  async reject(reason, { stage, email, ip, details = null }) {
+    console.warn(`🛡️  Blocked ${stage} for ${email} from ${ip || 'unknown IP'}: ${reason}`);
+
+    try {
+      await this.prisma.signupRejection.create({
+        data: {
+          stage,
+          reason,
+          email,
+          canonicalEmail: email ? canonicalEmail(email) : null,
+          ip,
+          details: details ? JSON.stringify(details) : null
+        }
+      });
+    } catch (error) {
+      // Never let logging turn a rejection into a 500
+      console.error('Failed to log signup rejection:', error);
+    }
+
+    return { reason, message: MESSAGES[reason] };
+  }
+
+  // Rejections per reason over the last `days`, and the latest few
+  async getStats({ days = 7, limit = 10 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const groups = await this.prisma.signupRejection.groupBy({
+      by: ['reason'],
+      where: { createdAt: { gte: since } },
+      _count: { reason: true }
+    });
+
+    const counts = Object.fromEntries(REASONS.map(reason => [reason, 0]));
+    groups.forEach(group => {
+      counts[group.reason] = group._count.reason;
+    });
+
+    const recent = await this.prisma.signupRejection.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    return {
+      days,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts,
+      recent: recent.map(rejection => ({
+        ...rejection,
+        details: rejection.details ? JSON.parse(rejection.details) : null
+      }))
+    };
+  }
+
+  async purge() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    const { count } = await this.prisma.signupRejection.deleteMany({
+      where: { createdAt: { lt: cutoff } }
+    });
+    return count;
+  }
+}
+
+module.exports = SignupGuardService;
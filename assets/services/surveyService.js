@@ -0,0 +1,192 @@
+const Joi = require('joi');
+const { normalizeLocale, DEFAULT_LOCALE } = require('./locales');
+
+// The signup survey, defined once. The server validates and stores answers
+// from this list, the landing page renders step 2 from it (GET /api/survey)
+// and emails and the dashboard use it to label answers.
+//
+// id         - Response.questionId, also the form input name
+// field      - key of the answer in the POST /api/waitlist payload
+// label      - question as shown in the form and stored in Response.question
+// shortLabel - compact label for tables and emails
+// type       - 'select', 'radio' or 'scale'
+// translations - per-locale overrides of the display texts; option labels
+//                are keyed by option value. Stored answers are always the
+//                option values, never translated text.
+const QUESTIONS = [
+  {
+    id: 'primary_skill',
+    field: 'primarySkill',
+    label: 'What\'s your primary creative skill?',
+    shortLabel: 'Primary Skill',
+    type: 'select',
+    placeholder: 'Select your skill',
+    options: [
+      { value: 'design', label: 'Graphic Design' },
+      { value: 'development', label: 'Web Development' },
+      { value: 'photography', label: 'Photography' },
+      { value: 'writing', label: 'Content Writing' },
+      { value: 'marketing', label: 'Digital Marketing' },
+      { value: 'video', label: 'Video Production' },
+      { value: 'other', label: 'Other' }
+    ],
+    translations: {
+      ar: {
+        label: 'ما هي مهارتك الإبداعية الأساسية؟',
+        shortLabel: 'المهارة الأساسية',
+        placeholder: 'اختر مهارتك',
+        options: {
+          design: 'التصميم الجرافيكي',
+          development: 'تطوير المواقع',
+          photography: 'التصوير الفوتوغرافي',
+          writing: 'كتابة المحتوى',
+          marketing: 'التسويق الرقمي',
+          video: 'إنتاج الفيديو',
+          other: 'أخرى'
+        }
+      }
+    }
+  },
+  {
+    id: 'biggest_challenge',
+    field: 'biggestChallenge',
+    label: 'What\'s your biggest challenge as a freelancer?',
+    shortLabel: 'Main Challenge',
+    type: 'radio',
+    options: [
+      { value: 'payment_delays', label: 'Payment Delays' },
+      { value: 'finding_clients', label: 'Finding Clients' },
+      { value: 'pricing_services', label: 'Pricing Services' },
+      { value: 'skill_gaps', label: 'Skill Gaps' }
+    ],
+    translations: {
+      ar: {
+        label: 'ما هو أكبر تحدٍّ يواجهك كمستقل؟',
+        shortLabel: 'التحدي الأساسي',
+        options: {
+          payment_delays: 'تأخر المدفوعات',
+          finding_clients: 'إيجاد العملاء',
+          pricing_services: 'تسعير الخدمات',
+          skill_gaps: 'فجوات المهارات'
+        }
+      }
+    }
+  },
+  {
+    id: 'interest_level',
+    field: 'interestLevel',
+    label: 'How interested are you in skill-swapping?',
+    shortLabel: 'Interest Level',
+    type: 'scale',
+    min: 1,
+    max: 5,
+    defaultValue: 3,
+    minLabel: 'Not interested',
+    maxLabel: 'Very interested',
+    translations: {
+      ar: {
+        label: 'ما مدى اهتمامك بتبادل المهارات؟',
+        shortLabel: 'مستوى الاهتمام',
+        minLabel: 'غير مهتم',
+        maxLabel: 'مهتم جداً'
+      }
+    }
+  }
+];
+
+class SurveyService {
+  constructor(questions = QUESTIONS) {
+    this.questions = questions;
+  }
+
+  // Questions with display texts in `locale`, falling back to English
+  getQuestions(locale = DEFAULT_LOCALE) {
+    return this.questions.map(question => this.localize(question, locale));
+  }
+
+  getQuestion(id, locale = DEFAULT_LOCALE) {
+    const question = this.questions.find(q => q.id === id);
+    return question && this.localize(question, locale);
+  }
+
+  localize(question, locale) {
+    const { translations, ...base } = question;
+    const translation = (translations || {})[normalizeLocale(locale)];
+    if (!translation) return base;
+
+    const { options, ...texts } = translation;
+    return {
+      ...base,
+      ...texts,
+      ...(base.options && {
+        options: base.options.map(option => ({
+          ...option,
+          label: (options && options[option.value]) || option.label
+        }))
+      })
+    };
+  }
+
+  // Joi keys for the survey part of the signup payload
+  answerSchemaKeys() {
+    return Object.fromEntries(this.questions.map(question => [question.field, this.answerSchema(question)]));
+  }
+
+  answerSchema(question) {
+    if (question.type === 'scale') {
+      return Joi.number().integer().min(question.min).max(question.max).required();
+    }
+    return Joi.string().valid(...question.options.map(option => option.value)).required();
+  }
+
+  // Response rows (minus userId) for a validated signup payload
+  toResponses(answers) {
+    return this.questions
+      .filter(question => answers[question.field] !== undefined)
+      .map(question => ({
+        questionId: question.id,
+        question: question.label,
+        answer: String(answers[question.field])
+      }));
+  }
+
+  // Stored Response rows back to payload-style { field: answer }
+  answersFromResponses(responses) {
+    const answers = {};
+    responses.forEach(response => {
+      const question = this.getQuestion(response.questionId);
+      if (question) {
+        answers[question.field] = response.answer;
+      }
+    });
+    return answers;
+  }
+
+  formatAnswer(questionId, answer, locale = DEFAULT_LOCALE) {
+    if (answer === undefined || answer === null || answer === '') return 'Not specified';
+
+    const question = this.getQuestion(questionId, locale);
+    if (!question) return answer;
+
+    if (question.type === 'scale') {
+      return `${answer}/${question.max} ⭐`;
+    }
+    const option = question.options.find(o => o.value === answer);
+    return option ? option.label : answer;
+  }
+
+  // [{ questionId, label, value }] for display, in survey order
+  describeResponses(responses, locale = DEFAULT_LOCALE) {
+    const byQuestion = Object.fromEntries(responses.map(r => [r.questionId, r.answer]));
+
+    return this.getQuestions(locale)
+      .filter(question => byQuestion[question.id] !== undefined)
+      .map(question => ({
+        questionId: question.id,
+        label: question.shortLabel,
+        value: this.formatAnswer(question.id, byQuestion[question.id], locale)
+      }));
+  }
+}
+
+module.exports = SurveyService;
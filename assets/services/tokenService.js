@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Stateless signed tokens for links we email out (confirmations and the
+// like). A token is base64url(JSON payload) + "." + HMAC-SHA256 signature.
+class TokenService {
+  constructor(secret = process.env.APP_SECRET) {
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️  APP_SECRET not set: using a random secret, emailed links will stop working after a restart');
+    }
+    this.secret = secret;
+  }
+
+  sign(purpose, subject, ttlMs) {
+    const payload = {
+      p: purpose,
+      s: subject,
+      e: ttlMs ? Date.now() + ttlMs : null
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.signature(body)}`;
+  }
+
+  // Returns the subject the token was issued for, or null when the token
+  // is malformed, tampered with, expired or meant for another purpose.
+  verify(purpose, token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.p !== purpose) return null;
+    if (payload.e && payload.e < Date.now()) return null;
+
+    return payload.s;
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+module.exports = TokenService;
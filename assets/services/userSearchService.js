@@ -0,0 +1,159 @@
+// Search, filters, sorting and cursor pagination for the dashboard's user
+// table. Survey filters become segment rules, so they match users exactly
+// like a campaign audience would.
+//
+// The cursor is the sort value and id of the last row on the page, so a
+// page never repeats or skips rows when signups arrive between requests.
+const SORT_FIELDS = ['createdAt', 'email', 'status', 'referralCount'];
+const COMPLETION_STATUSES = ['partial', 'unconfirmed', 'completed'];
+const MAX_PAGE_SIZE = 200;
+
+class UserSearchService {
+  constructor(prisma, { survey, segments } = {}) {
+    this.prisma = prisma;
+    this.survey = survey;
+    this.segments = segments;
+  }
+
+  static get sortFields() {
+    return SORT_FIELDS;
+  }
+
+  static get completionStatuses() {
+    return COMPLETION_STATUSES;
+  }
+
+  static get maxPageSize() {
+    return MAX_PAGE_SIZE;
+  }
+
+  // Filter values -> segment rules. Returns { rules } or { error }.
+  toRules({ skill = [], challenge = [], interestMin, interestMax } = {}) {
+    const rules = [];
+    if (skill.length > 0) rules.push({ question: 'primary_skill', op: '=', values: skill });
+    if (challenge.length > 0) rules.push({ question: 'biggest_challenge', op: '=', values: challenge });
+    if (interestMin !== undefined) rules.push({ question: 'interest_level', op: '>=', values: [String(interestMin)] });
+    if (interestMax !== undefined) rules.push({ question: 'interest_level', op: '<=', values: [String(interestMax)] });
+
+    const error = this.segments.validate(rules);
+    return error ? { error } : { rules };
+  }
+
+  // Stopped after the email step, sent the form but never confirmed, or
+  // confirmed
+  completionWhere(completion) {
+    switch (completion) {
+      case 'partial':
+        return { submittedAt: null };
+      case 'unconfirmed':
+        return { submittedAt: { not: null }, confirmedAt: null };
+      case 'completed':
+        return { confirmedAt: { not: null } };
+      default:
+        return {};
+    }
+  }
+
+  buildWhere({ q, from, to, completion, rules = [] } = {}) {
+    const createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lt = to;
+
+    return {
+      AND: [
+        ...(q ? [{ email: { contains: q.trim() } }] : []),
+        ...(from || to ? [{ createdAt }] : []),
+        ...(completion ? [this.completionWhere(completion)] : []),
+        ...this.segments.toWhere(rules)
+      ]
+    };
+  }
+
+  encodeCursor(user, sort) {
+    const value = user[sort] instanceof Date ? user[sort].toISOString() : user[sort];
+    return Buffer.from(JSON.stringify([value, user.id])).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort) {
+    try {
+      const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (typeof id !== 'string' || value === null || value === undefined) return null;
+      if (sort !== 'createdAt') return { value, id };
+
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : { value: date, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rows after the cursor in (sort, id) order
+  afterCursorWhere({ value, id }, sort, order) {
+    const beyond = order === 'asc' ? 'gt' : 'lt';
+    return {
+      OR: [
+        { [sort]: { [beyond]: value } },
+        { [sort]: value, id: { [beyond]: id } }
+      ]
+    };
+  }
+
+  // One page of users. Returns { error } for a bad cursor, otherwise
+  // { users, nextCursor, total } where total counts every match.
+  async search({ sort = 'createdAt', order = 'desc', cursor = null, limit = 50, ...filters } = {}) {
+    const where = this.buildWhere(filters);
+
+    let pageWhere = where;
+    if (cursor) {
+      const after = this.decodeCursor(cursor, sort);
+      if (!after) return { error: 'Invalid cursor' };
+      pageWhere = { AND: [where, this.afterCursorWhere(after, sort, order)] };
+    }
+
+    const [users, total] = await Promise.all([
+      this.prisma.user.findMany({
+        where: pageWhere,
+        include: { responses: { select: { questionId: true, answer: true } } },
+        orderBy: [{ [sort]: order }, { id: order }],
+        take: limit + 1
+      }),
+      this.prisma.user.count({ where })
+    ]);
+
+    const hasMore = users.length > limit;
+    const page = hasMore ? users.slice(0, limit) : users;
+
+    return {
+      users: page.map(user => this.toRow(user)),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+      total
+    };
+  }
+
+  completionOf(user) {
+    if (!user.submittedAt) return 'partial';
+    return user.confirmedAt ? 'completed' : 'unconfirmed';
+  }
+
+  toRow(user) {
+    const answers = {};
+    user.responses.forEach(response => {
+      answers[response.questionId] = this.survey.formatAnswer(response.questionId, response.answer);
+    });
+
+    return {
+      id: user.id,
+      email: user.email,
+      status: user.status,
+      completion: this.completionOf(user),
+      locale: user.locale,
+      source: user.source,
+      referralCount: user.referralCount,
+      confirmedAt: user.confirmedAt,
+      createdAt: user.createdAt,
+      answers
+    };
+  }
+}
+
+module.exports = UserSearchService;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "confirmedAt" DATETIME;
+
+-- Everyone who signed up before double opt-in counts as confirmed
+UPDATE "users" SET "confirmedAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "users_confirmedAt_idx" ON "users"("confirmedAt");
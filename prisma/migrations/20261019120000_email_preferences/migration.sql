@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "email_preferences" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "productUpdates" BOOLEAN NOT NULL DEFAULT true,
+    "betaInvites" BOOLEAN NOT NULL DEFAULT true,
+    "surveys" BOOLEAN NOT NULL DEFAULT true,
+    "unsubscribedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "email_preferences_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "email_preferences_userId_key" ON "email_preferences"("userId");
@@ -0,0 +1,17 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_responses" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "answer" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "responses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_responses" ("answer", "createdAt", "id", "question", "questionId", "userId") SELECT "answer", "createdAt", "id", "question", "questionId", "userId" FROM "responses";
+DROP TABLE "responses";
+ALTER TABLE "new_responses" RENAME TO "responses";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
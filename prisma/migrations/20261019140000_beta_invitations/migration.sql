@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'waiting';
+ALTER TABLE "users" ADD COLUMN "invitedAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "inviteExpiresAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "respondedAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "betaCodeHash" TEXT;
+ALTER TABLE "users" ADD COLUMN "betaCodeRedeemedAt" DATETIME;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_betaCodeHash_key" ON "users"("betaCodeHash");
+
+-- CreateIndex
+CREATE INDEX "users_status_idx" ON "users"("status");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "analytics" ADD COLUMN "sessionId" TEXT;
+ALTER TABLE "analytics" ADD COLUMN "step" INTEGER;
+ALTER TABLE "analytics" ADD COLUMN "properties" TEXT;
+
+-- CreateIndex
+CREATE INDEX "analytics_metric_date_idx" ON "analytics"("metric", "date");
+
+-- CreateIndex
+CREATE INDEX "analytics_sessionId_idx" ON "analytics"("sessionId");
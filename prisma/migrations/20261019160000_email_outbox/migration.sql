@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "email_outbox" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "type" TEXT NOT NULL,
+    "to" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "sentAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "email_outbox_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "email_outbox_status_nextAttemptAt_idx" ON "email_outbox"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "email_outbox_userId_idx" ON "email_outbox"("userId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "segment" TEXT;
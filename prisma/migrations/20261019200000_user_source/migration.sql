@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'signup';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "signupKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_signupKey_key" ON "users"("signupKey");
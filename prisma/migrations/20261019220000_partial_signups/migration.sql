@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "submittedAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "resumeReminderAt" DATETIME;
+
+-- Everyone already on the waitlist sent the whole form
+UPDATE "users" SET "submittedAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "users_submittedAt_idx" ON "users"("submittedAt");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "signup_rejections" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "email" TEXT,
+    "ip" TEXT,
+    "stage" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "signup_rejections_createdAt_idx" ON "signup_rejections"("createdAt");
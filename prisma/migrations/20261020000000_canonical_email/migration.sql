@@ -0,0 +1,7 @@
+-- AlterTable
+-- Filled in by DuplicateUserService.backfill() on startup; addresses that
+-- collide stay null until the duplicates are merged
+ALTER TABLE "users" ADD COLUMN "canonicalEmail" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_canonicalEmail_key" ON "users"("canonicalEmail");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "confirmationSentAt" DATETIME;
+
+-- Pending signups got their link when they sent the form
+UPDATE "users" SET "confirmationSentAt" = "submittedAt" WHERE "confirmedAt" IS NULL AND "submittedAt" IS NOT NULL;
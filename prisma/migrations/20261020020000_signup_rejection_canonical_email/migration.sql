@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "signup_rejections" ADD COLUMN "canonicalEmail" TEXT;
+
+-- Close enough for rows kept at most SIGNUP_REJECTION_RETENTION_DAYS;
+-- PrivacyService also matches the exact address
+UPDATE "signup_rejections" SET "canonicalEmail" = lower("email") WHERE "email" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "signup_rejections_canonicalEmail_idx" ON "signup_rejections"("canonicalEmail");
@@ -0,0 +1,5 @@
+-- CreateTable
+CREATE TABLE "resume_reminders" (
+    "emailHash" TEXT NOT NULL PRIMARY KEY,
+    "sentAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Joi = require('joi');
+
+const ImportService = require('../assets/services/importService');
+const { parseCsv } = ImportService;
+
+describe('parseCsv', () => {
+  it('splits plain rows and records the line each starts on', () => {
+    assert.deepEqual(parseCsv('email,locale\na@example.com,en\nb@example.com,ar\n'), [
+      { line: 1, cells: ['email', 'locale'] },
+      { line: 2, cells: ['a@example.com', 'en'] },
+      { line: 3, cells: ['b@example.com', 'ar'] }
+    ]);
+  });
+
+  it('keeps commas and doubled quotes inside quoted fields', () => {
+    const [, row] = parseCsv('email,note\na@example.com,"Hello, ""world"""');
+    assert.deepEqual(row.cells, ['a@example.com', 'Hello, "world"']);
+  });
+
+  it('keeps line breaks inside quoted fields and counts them', () => {
+    const rows = parseCsv('email,note\na@example.com,"first\nsecond"\nb@example.com,x');
+    assert.deepEqual(rows[1], { line: 2, cells: ['a@example.com', 'first\nsecond'] });
+    assert.deepEqual(rows[2], { line: 4, cells: ['b@example.com', 'x'] });
+  });
+
+  it('accepts CRLF line endings, including inside quoted fields', () => {
+    const rows = parseCsv('email,note\r\na@example.com,"one\r\ntwo"\r\nb@example.com,x\r\n');
+    assert.deepEqual(rows, [
+      { line: 1, cells: ['email', 'note'] },
+      { line: 2, cells: ['a@example.com', 'one\r\ntwo'] },
+      { line: 4, cells: ['b@example.com', 'x'] }
+    ]);
+  });
+
+  it('drops a BOM and blank lines, and reads a last row without a line break', () => {
+    const rows = parseCsv('\uFEFFemail\r\n\r\n , \na@example.com');
+    assert.deepEqual(rows, [
+      { line: 1, cells: ['email'] },
+      { line: 4, cells: ['a@example.com'] }
+    ]);
+  });
+
+  it('keeps empty fields', () => {
+    const [row] = parseCsv('a,,c,');
+    assert.deepEqual(row.cells, ['a', '', 'c', '']);
+  });
+});
+
+describe('ImportService.parse', () => {
+  const survey = { getQuestions: () => [{ id: 'primary_skill', field: 'primarySkill' }] };
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    locale: Joi.string(),
+    primarySkill: Joi.string().required()
+  });
+  const service = new ImportService(null, { survey, schema });
+
+  it('maps columns, validates rows and flags aliases repeated in the file', () => {
+    const { rows, ignoredColumns } = service.parse([
+      'Email,primary_skill,notes',
+      'Foo.Bar@gmail.com,design,"met at the fair,\r\nfollow up"',
+      'foobar+ig@gmail.com,,',
+      'not-an-email,photo,'
+    ].join('\r\n'));
+
+    assert.deepEqual(ignoredColumns, ['notes']);
+    assert.deepEqual(rows.map(({ line, email, status }) => ({ line, email, status })), [
+      { line: 2, email: 'foo.bar@gmail.com', status: 'new' },
+      { line: 4, email: 'foobar+ig@gmail.com', status: 'duplicate' },
+      { line: 5, email: 'not-an-email', status: 'invalid' }
+    ]);
+  });
+
+  it('needs an email column', () => {
+    assert.deepEqual(service.parse('name\nZintle'), { error: 'The file needs an "email" column' });
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SignupGuardService = require('../assets/services/signupGuardService');
+const { NoChallenge, StubChallenge } = require('../assets/services/challengeProviders');
+
+// Just enough of the Prisma client: `recentSignups` is what user.count
+// reports for the burst check
+function fakePrisma({ recentSignups = 0 } = {}) {
+  const prisma = {
+    countQueries: [],
+    rejections: [],
+    user: {
+      count: async ({ where }) => {
+        prisma.countQueries.push(where);
+        return recentSignups;
+      }
+    },
+    signupRejection: {
+      create: async ({ data }) => {
+        prisma.rejections.push(data);
+        return data;
+      }
+    }
+  };
+  return prisma;
+}
+
+function guardWith(prisma, challenge = new NoChallenge()) {
+  return new SignupGuardService(prisma, { challenge });
+}
+
+const person = { email: 'thandi@studio.co.za', elapsedMs: 20000, ip: '127.0.0.1' };
+
+describe('SignupGuardService', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  it('lets a normal signup through', async () => {
+    const prisma = fakePrisma();
+    assert.equal(await guardWith(prisma).check(person), null);
+    assert.equal(prisma.rejections.length, 0);
+  });
+
+  it('rejects a filled-in honeypot', async () => {
+    const prisma = fakePrisma();
+    const result = await guardWith(prisma).check({ ...person, honeypot: 'https://spam.example' });
+    assert.equal(result.reason, 'honeypot');
+    assert.equal(prisma.rejections[0].reason, 'honeypot');
+  });
+
+  it('rejects disposable domains and their subdomains, also for partial leads', async () => {
+    const guard = guardWith(fakePrisma());
+    assert.equal((await guard.check({ ...person, email: 'x@mailinator.com' })).reason, 'disposable_email');
+    assert.equal((await guard.check({ ...person, stage: 'partial', email: 'x@inbox.mailinator.com' })).reason, 'disposable_email');
+  });
+
+  it('rejects a form sent faster than a person can fill it in', async () => {
+    const result = await guardWith(fakePrisma()).check({ ...person, elapsedMs: 800 });
+    assert.equal(result.reason, 'too_fast');
+  });
+
+  it('skips the heuristics for partial leads', async () => {
+    const prisma = fakePrisma({ recentSignups: 50 });
+    const result = await guardWith(prisma).check({ ...person, stage: 'partial', email: '83920174@x.io', elapsedMs: undefined });
+    assert.equal(result, null);
+    assert.equal(prisma.countQueries.length, 0);
+  });
+
+  describe('domain bursts', () => {
+    it('count only signups submitted within the window', async () => {
+      const prisma = fakePrisma();
+      await guardWith(prisma).isBurst('studio.co.za');
+
+      const [where] = prisma.countQueries;
+      assert.deepEqual(where.email, { endsWith: '@studio.co.za' });
+      assert.ok(where.submittedAt.gte instanceof Date);
+      assert.ok(Date.now() - where.submittedAt.gte.getTime() >= 10 * 60 * 1000 - 1000);
+      assert.equal(where.createdAt, undefined);
+    });
+
+    it('start at the burst limit', async () => {
+      assert.equal(await guardWith(fakePrisma({ recentSignups: 4 })).isBurst('studio.co.za'), false);
+      assert.equal(await guardWith(fakePrisma({ recentSignups: 5 })).isBurst('studio.co.za'), true);
+    });
+
+    it('are ignored on shared providers', async () => {
+      const prisma = fakePrisma({ recentSignups: 500 });
+      assert.equal(await guardWith(prisma).isBurst('gmail.com'), false);
+      assert.equal(prisma.countQueries.length, 0);
+    });
+
+    it('alone do not reject a genuine signup from a busy domain', async () => {
+      const prisma = fakePrisma({ recentSignups: 40 });
+      const guard = guardWith(prisma);
+
+      assert.deepEqual(await guard.suspicionOf(person.email, person), { score: 1, signals: ['domain_burst'] });
+      assert.equal(await guard.check(person), null);
+      assert.equal(prisma.rejections.length, 0);
+    });
+
+    it('reject together with another signal', async () => {
+      const result = await guardWith(fakePrisma({ recentSignups: 40 })).check({ ...person, elapsedMs: undefined });
+      assert.equal(result.reason, 'suspicious');
+    });
+  });
+
+  describe('suspicion threshold', () => {
+    it('is not reached by a single address signal', async () => {
+      const guard = guardWith(fakePrisma());
+      assert.equal(await guard.check({ ...person, email: '83920174@studio.co.za' }), null);
+      assert.equal(await guard.check({ ...person, email: 'xkcdqwrtz@studio.co.za' }), null);
+      assert.equal(await guard.check({ ...person, elapsedMs: undefined }), null);
+    });
+
+    it('is reached by two signals and logs them', async () => {
+      const prisma = fakePrisma();
+      const result = await guardWith(prisma).check({ ...person, email: 'qxzvbnmkl8392017483920@studio.co.za' });
+
+      assert.equal(result.reason, 'suspicious');
+      assert.deepEqual(JSON.parse(prisma.rejections[0].details), {
+        score: 2,
+        signals: ['mostly_digits', 'random_letters']
+      });
+    });
+
+    it('can be lowered with SIGNUP_SUSPICION_THRESHOLD', async () => {
+      process.env.SIGNUP_SUSPICION_THRESHOLD = '1';
+      try {
+        const result = await guardWith(fakePrisma({ recentSignups: 40 })).check(person);
+        assert.equal(result.reason, 'suspicious');
+      } finally {
+        delete process.env.SIGNUP_SUSPICION_THRESHOLD;
+      }
+    });
+  });
+
+  it('rejects a failed challenge after the other checks pass', async () => {
+    const guard = guardWith(fakePrisma(), new StubChallenge({ passToken: 'ok' }));
+    assert.equal(await guard.check({ ...person, challengeToken: 'ok' }), null);
+    assert.equal((await guard.check({ ...person, challengeToken: 'nope' })).reason, 'challenge_failed');
+  });
+});